@@ -18,6 +18,22 @@
 const filetypes  = require('./data.json').filetypes;
 // Ignored directory patterns
 const ignoreDirs = require('./data.json').ignoreDirs;
+// The default format of IDs
+const DEFAULT_ID_PREFIX  = '@ID:';
+const DEFAULT_ID_PATTERN = '%Y%M%D%h%m%s';
+// How often to try to generate a unique ID using the counter or random tokens
+const MAX_ID_TRIES = 100;
+// Matches references such as [Caption](target "title"), ![Caption](target)
+// and [Caption](<target with spaces>)
+const REF_RE = /(!?\[[^\]]*\]\()(<[^>\n]*>|[^)\s]+)((?:\s+"[^"]*")?\))/g;
+// Matches targets that begin with a protocol (http:, mailto:, file:, ...).
+// At least two characters, so that Windows drive letters are not matched.
+const SCHEME_RE = /^[a-z][a-z0-9+.-]+:/i;
+// Letters that don't decompose into a base letter and a diacritic
+const FOLD_LETTERS = {
+    'ß': 'ss', 'ẞ': 'SS', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE',
+    'ø': 'o', 'Ø': 'O', 'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D'
+};
 
 // Include modules
 const path       = require('path');
@@ -57,7 +73,7 @@ function flattenDirectoryTree(tree, newarr = [])
 
     if(tree.type == "file") {
         return newarr.push(tree);
-    } else if(tree.type == "directory" || tree.type == 'virtual-directory') {
+    } else if(tree.type == "directory" || tree.type == 'virtual-directory' || tree.type == 'smart-directory') {
         // Append directory (for easier overview)
         newarr.push(tree);
         if(tree.children != null) {
@@ -69,9 +85,33 @@ function flattenDirectoryTree(tree, newarr = [])
     }
 }
 
+/**
+ * Returns all files of a file tree exactly once, although virtual and smart
+ * directories contain files that are already present.
+ * @param  {Object} tree A ZettlrDir tree or a single file
+ * @return {Array}       An array containing the files.
+ */
+function flattenFiles(tree)
+{
+    if(tree == null) {
+        return [];
+    } else if(tree.type == 'file') {
+        return [ tree ];
+    }
+
+    let files = new Map();
+    for(let f of flattenDirectoryTree(tree)) {
+        if(f.type == 'file' && !files.has(f.hash)) {
+            files.set(f.hash, f);
+        }
+    }
+
+    return Array.from(files.values());
+}
+
 /**
 * This function can sort an array of ZettlrFile and ZettlrDir objects
-* @param  {Array} arr An array containing only ZettlrFile, ZettlrVirtualDirectory and ZettlrDir objects
+* @param  {Array} arr An array containing only ZettlrFile, ZettlrVirtualDirectory, ZettlrSmartDirectory and ZettlrDir objects
 * @param {String} [type='name-up'] The type of sorting - can be time-up, time-down, name-up or name-down
 * @return {Array}     The sorted array
 */
@@ -87,7 +127,7 @@ function sort(arr, type = 'name-up')
             f.push(c);
         } else if(c.type === 'directory') {
             d.push(c);
-        } else if(c.type === 'virtual-directory') {
+        } else if(c.type === 'virtual-directory' || c.type === 'smart-directory') {
             vd.push(c);
         }
     }
@@ -104,7 +144,7 @@ function sort(arr, type = 'name-up')
         }
     });
 
-    // The virtual directories (also by name)
+    // The virtual and smart directories (also by name)
     vd.sort((a, b) => {
         // Negative return: a is smaller b (case insensitive)
         if(a.name.toLowerCase() < b.name.toLowerCase()) {
@@ -181,10 +221,15 @@ function generateName()
 }
 
 /**
-* This function generates a (per second unique) ID to be inserted into the editor
-* @return {String} An id in the format "YYYYMMDDHHMMSS"
+* This function generates an ID to be inserted into the editor. The pattern may
+* contain the following tokens: %Y (year), %M (month), %D (day), %h (hour),
+* %m (minute), %s (second), %n (a counter) and %r (a random character).
+* @param  {String} [pattern='%Y%M%D%h%m%s'] The pattern of the ID
+* @param  {String} [prefix='@ID:']          The prefix of the ID
+* @param  {Number} [counter=1]              The value of the %n token
+* @return {String} An id in the format "<prefix><pattern>"
 */
-function generateId()
+function generateId(pattern = DEFAULT_ID_PATTERN, prefix = DEFAULT_ID_PREFIX, counter = 1)
 {
     let date = new Date();
     let yyyy = date.getFullYear();
@@ -198,7 +243,78 @@ function generateId()
     if(m <= 9) m =  '0' + m;
     let ss = date.getSeconds();
     if(ss <= 9) ss =  '0' + ss;
-    return '@ID:' + yyyy + mm + dd + hh + m + ss;
+
+    let id = pattern.replace(/%([YMDhmsnr])/g, (match, token) => {
+        switch(token) {
+            case 'Y': return yyyy;
+            case 'M': return mm;
+            case 'D': return dd;
+            case 'h': return hh;
+            case 'm': return m;
+            case 's': return ss;
+            case 'n': return counter;
+            case 'r': return Math.floor(Math.random() * 36).toString(36);
+        }
+    });
+
+    return prefix + id;
+}
+
+/**
+* Generates an ID that is not contained in a list of existing IDs.
+* @param  {Array}  existing                 The IDs (without prefix) already in use
+* @param  {String} [pattern='%Y%M%D%h%m%s'] The pattern of the ID
+* @param  {String} [prefix='@ID:']          The prefix of the ID
+* @return {String}          The ID including the prefix, or null, if every ID the pattern allows is taken.
+*/
+function generateUniqueId(existing, pattern = DEFAULT_ID_PATTERN, prefix = DEFAULT_ID_PREFIX)
+{
+    // Only the counter and random characters can change within a second
+    let tries = (/%[nr]/.test(pattern)) ? MAX_ID_TRIES : 1;
+    for(let i = 1; i <= tries; i++) {
+        let id = generateId(pattern, prefix, i);
+        if(!existing.includes(id.substr(prefix.length))) {
+            return id;
+        }
+    }
+
+    return null;
+}
+
+/**
+* Returns the prefix of IDs. In the main process this is the prefix configured
+* by the user, the renderer has to pass it explicitly.
+* @return {String} The prefix, e.g. "@ID:"
+*/
+function getIdPrefix()
+{
+    // ZettlrConfig puts the settings into the global.
+    if(global.zkn && global.zkn.idPrefix) {
+        return global.zkn.idPrefix;
+    }
+
+    return DEFAULT_ID_PREFIX;
+}
+
+/**
+* Returns a regular expression that matches all IDs. The first group contains
+* the ID without the prefix.
+* @param  {String} [prefix=getIdPrefix()] The prefix of the IDs
+* @return {RegExp}        The global regular expression
+*/
+function getIdRE(prefix = getIdPrefix())
+{
+    return new RegExp(prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '([^\\s]*)', 'g');
+}
+
+/**
+* Returns a regular expression that matches all transclusions in the format of
+* ![[ID]] or ![[Title]]. The first group contains the ID or title.
+* @return {RegExp} The global regular expression
+*/
+function getTransclusionRE()
+{
+    return /!\[\[(.+?)\]\]/g;
 }
 
 /**
@@ -326,17 +442,505 @@ function localiseNumber(number)
     return ret;
 }
 
+/**
+ * Turns a search term into a global regular expression. Terms in the form of
+ * /pattern/flags are regular expressions, all other terms are matched literally.
+ * Invalid patterns throw a SyntaxError.
+ * @param  {String}  term                  The search term
+ * @param  {Boolean} [caseSensitive=false] Whether or not the case must match (the i flag overrides this)
+ * @return {Object}                        An object containing the regex and whether the term is literal.
+ */
+function parseSearchTerm(term, caseSensitive = false)
+{
+    let match = /^\/(.+)\/([gimsuy]*)$/.exec(term);
+    if(match == null) {
+        let source = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return { 'regex': new RegExp(source, (caseSensitive) ? 'g' : 'gi'), 'literal': true };
+    }
+
+    let flags = match[2].replace('g', '');
+    if(!caseSensitive && flags.indexOf('i') == -1) {
+        flags += 'i';
+    }
+
+    return { 'regex': new RegExp(match[1], 'g' + flags), 'literal': false };
+}
+
+/**
+ * Expands the placeholders $& (the whole match) and $1 to $9 (the groups) in
+ * a replacement. Replacements for literal search terms are left untouched.
+ * @param  {String}  replacement The replacement as entered by the user
+ * @param  {Array}   match       The match as returned by RegExp.exec()
+ * @param  {Boolean} literal     Whether the search term was literal
+ * @return {String}              The replacement to be inserted.
+ */
+function expandReplacement(replacement, match, literal)
+{
+    if(literal || !Array.isArray(match)) {
+        return replacement;
+    }
+
+    return replacement.replace(/\$(&|\d)/g, (m, group) => {
+        return (group == '&') ? match[0] : (match[parseInt(group)] || '');
+    });
+}
+
+/**
+ * Checks whether the text between from and to is a whole word, i.e. whether
+ * it is neither preceded nor followed by a letter or digit.
+ * @param  {String}  text The text containing the match
+ * @param  {Number}  from The beginning of the match
+ * @param  {Number}  to   The end of the match
+ * @return {Boolean}      True, if the match is a whole word.
+ */
+function isWholeWord(text, from, to)
+{
+    let wordChar = /[\w\u00C0-\u024F]/;
+    return !(from > 0 && wordChar.test(text.charAt(from - 1))) && !(to < text.length && wordChar.test(text.charAt(to)));
+}
+
+/**
+ * Parses the value of a modified: search filter. The value is a date in the
+ * form of YYYY, YYYY-MM or YYYY-MM-DD, optionally preceded by one of the
+ * operators >, >=, < or <=. Without an operator, the whole year, month or day
+ * matches.
+ * @param  {String} value The filter value, e.g. >=2018-05
+ * @return {Object}       An object containing the timestamps from (inclusive) and to (exclusive), or null if the value is invalid.
+ */
+function parseDateFilter(value)
+{
+    let match = /^(>=|<=|>|<|=)?(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value.trim());
+    if(match == null) {
+        return null;
+    }
+
+    let year = parseInt(match[2]);
+    let month = (match[3]) ? parseInt(match[3]) - 1 : 0;
+    let day = (match[4]) ? parseInt(match[4]) : 1;
+    // The period of time the date stands for, in local time. Dates such as
+    // 2018-02-30 would silently roll over into the next month.
+    let start = new Date(year, month, day);
+    if(start.getFullYear() != year || start.getMonth() != month || start.getDate() != day) {
+        return null;
+    }
+    let end = (match[4]) ? new Date(year, month, day + 1) : (match[3]) ? new Date(year, month + 1, 1) : new Date(year + 1, 0, 1);
+
+    switch(match[1]) {
+        case '>':
+            return { 'from': end.getTime(), 'to': Infinity };
+        case '>=':
+            return { 'from': start.getTime(), 'to': Infinity };
+        case '<':
+            return { 'from': -Infinity, 'to': start.getTime() };
+        case '<=':
+            return { 'from': -Infinity, 'to': end.getTime() };
+        default:
+            return { 'from': start.getTime(), 'to': end.getTime() };
+    }
+}
+
+/**
+ * Splits the contents of an internal link into its target and an optional
+ * anchor, which is either a heading ([[ID#Heading]]) or a block ([[ID^blockid]]).
+ * @param  {String} link The contents of the link without the brackets
+ * @return {Object}      An object containing target, heading and block (the latter two may be null).
+ */
+function parseLink(link)
+{
+    let ret = { 'target': link.trim(), 'heading': null, 'block': null };
+    let match = /^([^#^]*)(?:#(.+)|\^([A-Za-z0-9-]+))$/.exec(ret.target);
+    if(match) {
+        ret.target = match[1].trim();
+        ret.heading = (match[2]) ? match[2].trim() : null;
+        ret.block = match[3] || null;
+    }
+
+    return ret;
+}
+
+/**
+ * Splits a Markdown text into code (fenced code blocks and inline code spans)
+ * and the text in between, so that links inside code can be left untouched.
+ * Joining the texts of all parts results in the original text.
+ * @param  {String} cnt The text to be split
+ * @return {Array}      An array of objects containing text and code (a Boolean).
+ */
+function splitCode(cnt)
+{
+    let parts = [];
+    let add = (text, code) => {
+        let last = parts[parts.length - 1];
+        if(last && last.code == code) {
+            last.text += text;
+        } else if(text.length > 0) {
+            parts.push({ 'text': text, 'code': code });
+        }
+    };
+
+    let fence = null; // The opening fence of the current code block
+    let lines = cnt.split('\n');
+    for(let l = 0; l < lines.length; l++) {
+        let line = lines[l];
+        let nl = (l < lines.length - 1) ? '\n' : '';
+        let match = /^ {0,3}(`{3,}|~{3,})/.exec(line);
+        if(fence != null) {
+            add(line + nl, true);
+            if(match && match[1][0] == fence[0] && match[1].length >= fence.length && line.trim() == match[1]) {
+                fence = null;
+            }
+            continue;
+        } else if(match) {
+            fence = match[1];
+            add(line + nl, true);
+            continue;
+        }
+
+        // Inline code spans end with as many backticks as they begin with.
+        let start = 0;
+        let i = 0;
+        while(i < line.length) {
+            if(line[i] != '`') {
+                i++;
+                continue;
+            }
+
+            let n = /^`+/.exec(line.substr(i))[0].length;
+            let close = -1;
+            let j = i + n;
+            while(j < line.length) {
+                if(line[j] != '`') {
+                    j++;
+                    continue;
+                }
+                let m = /^`+/.exec(line.substr(j))[0].length;
+                if(m == n) {
+                    close = j;
+                    break;
+                }
+                j += m;
+            }
+
+            if(close < 0) {
+                i += n;
+                continue;
+            }
+
+            add(line.substring(start, i), false);
+            add(line.substring(i, close + n), true);
+            i = start = close + n;
+        }
+        add(line.substr(start) + nl, false);
+    }
+
+    return parts;
+}
+
+/**
+ * Replaces the targets of all references in the form of [Caption](target)
+ * and ![Caption](target). Targets in angle brackets are passed without them.
+ * If a new target contains whitespace, it is enclosed in angle brackets.
+ * @param  {String}   text     The text, which should not contain code (see splitCode)
+ * @param  {Function} callback Receives a target and returns the new target
+ * @return {String}            The text with the new targets.
+ */
+function replaceReferences(text, callback)
+{
+    return text.replace(REF_RE, (match, begin, target, end) => {
+        let angle = (target[0] == '<');
+        let ret = callback((angle) ? target.slice(1, -1) : target);
+        if(angle || /\s/.test(ret)) {
+            ret = `<${ret}>`;
+        }
+        return begin + ret + end;
+    });
+}
+
+/**
+ * Resolves the target of a reference to a path.
+ * @param  {String} target The target as written in the file
+ * @param  {String} dir    The directory against which relative targets are resolved
+ * @return {Object}        An object containing path (absolute), fragment (e.g. #heading), absolute (whether the target was absolute) and encoded (whether the target was URI-encoded), or null if the target is external or an anchor.
+ */
+function parseReference(target, dir)
+{
+    if(SCHEME_RE.test(target) || target[0] == '#') {
+        return null;
+    }
+
+    let fragment = '';
+    let file = target;
+    if(target.indexOf('#') > -1) {
+        fragment = target.substr(target.indexOf('#'));
+        file = target.substr(0, target.indexOf('#'));
+    }
+
+    let decoded = file;
+    try {
+        decoded = decodeURI(file);
+    } catch(e) {
+        // Malformed URI, use it as is
+    }
+
+    let absolute = path.isAbsolute(decoded);
+    return {
+        'path': (absolute) ? decoded : path.resolve(dir, decoded),
+        'fragment': fragment,
+        'absolute': absolute,
+        'encoded': (decoded != file)
+    };
+}
+
+/**
+ * Removes all diacritics from a text, so that e.g. "Über" and "naïve" become
+ * "Uber" and "naive". As some letters are replaced with two (ß becomes ss) and
+ * combining marks are removed, the folded text may differ in length. Therefore
+ * the position in the original text is recorded for every folded character.
+ * @param  {String} text The text to be folded
+ * @return {Object}      An object containing the folded text, and the arrays from and to, which contain the beginning and end of every folded character in the original text (both null if nothing has changed).
+ */
+function foldText(text)
+{
+    // Most texts are plain ASCII, which doesn't need to be folded.
+    if(/^[\x00-\x7F]*$/.test(text)) {
+        return { 'text': text, 'from': null, 'to': null };
+    }
+
+    let folded = '';
+    let from = [];
+    let to = [];
+    for(let i = 0; i < text.length; i++) {
+        let c = text.charAt(i);
+        let f = FOLD_LETTERS[c] || c.normalize('NFD').replace(/[\u0300-\u036F]/g, '');
+        if(f.length == 0 && to.length > 0) {
+            // A combining mark belongs to the preceding letter
+            to[to.length - 1] = i + 1;
+        }
+        for(let j = 0; j < f.length; j++) {
+            folded += f.charAt(j);
+            from.push(i);
+            to.push(i + 1);
+        }
+    }
+
+    return { 'text': folded, 'from': from, 'to': to };
+}
+
+/**
+ * Computes the edit distance between two strings, i.e. the number of inserted,
+ * deleted, substituted or swapped characters that turn one into the other. The
+ * computation stops as soon as the distance exceeds the maximum.
+ * @param  {String} a   The first string
+ * @param  {String} b   The second string
+ * @param  {Number} max The maximum distance of interest
+ * @return {Number}     The distance, or max + 1 if it is greater than max.
+ */
+function editDistance(a, b, max)
+{
+    if(Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+
+    // Only the last two rows of the matrix are needed
+    let prev2 = [];
+    let prev = [];
+    for(let j = 0; j <= b.length; j++) {
+        prev.push(j);
+    }
+
+    for(let i = 1; i <= a.length; i++) {
+        let row = [ i ];
+        let rowMin = i;
+        for(let j = 1; j <= b.length; j++) {
+            let cost = (a.charAt(i - 1) == b.charAt(j - 1)) ? 0 : 1;
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if(i > 1 && j > 1 && a.charAt(i - 1) == b.charAt(j - 2) && a.charAt(i - 2) == b.charAt(j - 1)) {
+                row[j] = Math.min(row[j], prev2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, row[j]);
+        }
+
+        if(rowMin > max) {
+            return max + 1;
+        }
+        prev2 = prev;
+        prev = row;
+    }
+
+    return Math.min(prev[b.length], max + 1);
+}
+
+/**
+ * Parses a single YAML value: quoted strings, lists in square brackets and
+ * plain strings (trailing comments are removed).
+ * @param  {String} value The value as written in the front matter
+ * @return {Mixed}        Either a string or an array of strings.
+ */
+function parseYAMLValue(value)
+{
+    value = value.trim();
+    if(/^\[.*\]$/.test(value)) {
+        let inner = value.substr(1, value.length - 2).trim();
+        if(inner.length == 0) {
+            return [];
+        }
+        // Split at commas outside of quotes
+        return inner.match(/("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,])+/g).map(parseYAMLValue);
+    }
+
+    if(/^"(?:[^"\\]|\\.)*"$/.test(value)) {
+        return value.substr(1, value.length - 2).replace(/\\(.)/g, '$1');
+    }
+
+    if(/^'(?:[^']|'')*'$/.test(value)) {
+        return value.substr(1, value.length - 2).replace(/''/g, "'");
+    }
+
+    return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Parses the YAML front matter at the beginning of a file, which is delimited
+ * by a line of three hyphens at the top and a line of three hyphens or dots at
+ * the bottom. Only the subset of YAML used for metadata is supported: keys with
+ * strings, lists (either in square brackets or one item per line) and folded
+ * or literal blocks (| and >). Nested objects are not parsed. Blocks that
+ * don't consist of keys and values, e.g. a horizontal rule followed by a
+ * setext heading, are not front matter but part of the text.
+ * @param  {String} cnt The contents of the file
+ * @return {Object}     An object containing the metadata (meta) and the number of lines the front matter spans (0, if there is none).
+ */
+function parseFrontMatter(cnt)
+{
+    let ret = { 'meta': {}, 'lines': 0 };
+    let lines = cnt.split('\n').map((line) => { return line.replace(/\r$/, ''); });
+    // A line of hyphens followed by an empty line is a horizontal rule.
+    if(lines.length < 3 || !/^---\s*$/.test(lines[0]) || lines[1].trim().length == 0) {
+        return ret;
+    }
+
+    let end = 1;
+    while(end < lines.length && !/^(---|\.\.\.)\s*$/.test(lines[end])) {
+        end++;
+    }
+    if(end == lines.length) {
+        return ret; // Not terminated
+    }
+
+    let key = null;
+    let block = null; // Either | or > while reading a block
+    for(let i = 1; i < end; i++) {
+        let line = lines[i];
+        let match;
+        if(block && (/^\s/.test(line) || line.length == 0)) {
+            let sep = (block == '|' || ret.meta[key].length == 0) ? '\n' : ' ';
+            ret.meta[key] = (ret.meta[key] + sep + line.trim()).trim();
+        } else if(key && (match = /^\s*-(?:\s+(.*))?$/.exec(line)) != null) {
+            if(!Array.isArray(ret.meta[key])) {
+                ret.meta[key] = [];
+            }
+            ret.meta[key].push(parseYAMLValue(match[1] || ''));
+        } else if((match = /^([^\s#:][^:]*?)\s*:(?:\s+(.*))?$/.exec(line)) != null) {
+            key = match[1];
+            let value = (match[2] || '').trim();
+            block = (/^[|>][+-]?$/.test(value)) ? value.charAt(0) : null;
+            ret.meta[key] = (block) ? '' : parseYAMLValue(value);
+        } else if(/^\S/.test(line) && !/^#/.test(line)) {
+            return { 'meta': {}, 'lines': 0 }; // Neither a key nor a comment
+        } else if(!/^\s*(#.*)?$/.test(line)) {
+            key = null; // Nested objects and other unsupported content
+            block = null;
+        }
+    }
+
+    if(Object.keys(ret.meta).length == 0) {
+        return { 'meta': {}, 'lines': 0 };
+    }
+
+    ret.lines = end + 1;
+    return ret;
+}
+
+/**
+ * Matches a search term fuzzily against a text, i.e. all characters of the term
+ * have to appear in the text in the same order, but not necessarily adjacent.
+ * @param  {String} term The search term
+ * @param  {String} text The text to be matched
+ * @return {Number}      A score (higher is better), or -1 if the term does not match.
+ */
+function fuzzyMatch(term, text)
+{
+    term = term.toLowerCase();
+    text = text.toLowerCase();
+
+    let score = 0;
+    let pos = 0;
+    let last = -1;
+    for(let c of term) {
+        pos = text.indexOf(c, pos);
+        if(pos < 0) {
+            return -1;
+        }
+        // Reward adjacent characters and matches at the beginning of words
+        if(pos == last + 1) {
+            score += 2;
+        }
+        if(pos == 0 || /[\s\-_]/.test(text.charAt(pos - 1))) {
+            score += 3;
+        }
+        score++;
+        last = pos;
+        pos++;
+    }
+
+    // Prefer shorter texts
+    return score - text.length / 100;
+}
+
+/**
+ * Escapes a string so that it can safely be inserted into HTML. This includes
+ * the characters with a special meaning for the replacement table of dialogs.
+ * @param  {String} str The string to be escaped
+ * @return {String}     The escaped string
+ */
+function escapeHTML(str)
+{
+    return String(str).replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\|/g, '&#124;')
+        .replace(/\$/g, '&#36;');
+}
+
 module.exports = {
     hash,
     flattenDirectoryTree,
+    flattenFiles,
     sort,
     generateName,
     generateId,
+    generateUniqueId,
+    getIdPrefix,
+    getIdRE,
+    getTransclusionRE,
     formatDate,
     ignoreFile,
     ignoreDir,
     isFile,
     isDir,
     isAttachment,
-    localiseNumber
+    localiseNumber,
+    escapeHTML,
+    fuzzyMatch,
+    parseLink,
+    splitCode,
+    replaceReferences,
+    parseReference,
+    parseFrontMatter,
+    parseSearchTerm,
+    isWholeWord,
+    foldText,
+    editDistance,
+    expandReplacement,
+    parseDateFilter
 };
@@ -0,0 +1,235 @@
+/**
+ * @ignore
+ * BEGIN HEADER
+ *
+ * Contains:        ZettlrCitations class
+ * CVM-Role:        Model
+ * Maintainer:      Hendrik Erz
+ * License:         GNU GPL v3
+ *
+ * Description:     Reads the entries of bibliography files (BibTeX or CSL-JSON)
+ *                  for the autocompletion of citations.
+ *
+ * END HEADER
+ */
+
+const fs                = require('fs');
+const path              = require('path');
+const {trans}           = require('../common/lang/i18n.js');
+
+// BibTeX entries that don't contain references
+const BIBTEX_IGNORE = [ 'comment', 'string', 'preamble' ];
+// How many authors are listed before "et al."
+const MAX_AUTHORS = 2;
+
+/**
+ * Returns the index of the character closing the bracket at the given index.
+ * @param  {String} cnt   The text
+ * @param  {Number} start The index of the opening bracket
+ * @return {Number}       The index of the closing bracket, or -1.
+ */
+function findClosing(cnt, start)
+{
+    let open = cnt.charAt(start);
+    let close = (open == '(') ? ')' : '}';
+    let depth = 0;
+    for(let i = start; i < cnt.length; i++) {
+        let c = cnt.charAt(i);
+        if(c == open) {
+            depth++;
+        } else if(c == close && --depth == 0) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Parses the fields of a BibTeX entry, e.g. author = {Doe, John}, year = 2018.
+ * Braces and quotes around the values are removed, and values joined with #
+ * are concatenated.
+ * @param  {String} body The entry without its type and key
+ * @return {Object}      An object mapping the (lowercase) field names onto their values.
+ */
+function parseFields(body)
+{
+    let fields = {};
+    let i = 0;
+    while(i < body.length) {
+        let name = /^[\s,]*([\w-]+)\s*=\s*/.exec(body.substr(i));
+        if(name == null) {
+            break;
+        }
+        i += name[0].length;
+
+        let value = '';
+        while(i < body.length) {
+            let c = body.charAt(i);
+            if(c == '{') {
+                let end = findClosing(body, i);
+                if(end < 0) {
+                    end = body.length;
+                }
+                value += body.substring(i + 1, end);
+                i = end + 1;
+            } else if(c == '"') {
+                let end = body.indexOf('"', i + 1);
+                if(end < 0) {
+                    end = body.length;
+                }
+                value += body.substring(i + 1, end);
+                i = end + 1;
+            } else {
+                // Numbers and string macros
+                let bare = /^[^\s,#]*/.exec(body.substr(i))[0];
+                value += bare;
+                i += bare.length;
+            }
+
+            // Values may be concatenated with #
+            let concat = /^\s*#\s*/.exec(body.substr(i));
+            if(concat == null) {
+                break;
+            }
+            i += concat[0].length;
+        }
+
+        fields[name[1].toLowerCase()] = value.replace(/[{}]/g, '').replace(/\s+/g, ' ').trim();
+    }
+
+    return fields;
+}
+
+/**
+ * Shortens a list of names to the family names of the first authors.
+ * @param  {Array} names The family names
+ * @return {String}      The names, e.g. "Doe, Smith et al."
+ */
+function formatAuthors(names)
+{
+    names = names.filter((name) => { return name.length > 0; });
+    if(names.length > MAX_AUTHORS) {
+        return names.slice(0, MAX_AUTHORS).join(', ') + ' et al.';
+    }
+
+    return names.join(', ');
+}
+
+/**
+ * Reads the bibliography files that are used to autocomplete citations in the
+ * form of [@citekey]. Every file is parsed only once as long as it doesn't
+ * change. The entries contain the data needed to recognise a reference: the
+ * key, the authors, the title and the year.
+ */
+class ZettlrCitations
+{
+    /**
+     * Create the instance.
+     * @param {Zettlr} parent The main zettlr object.
+     */
+    constructor(parent)
+    {
+        this._app = parent;
+        this._cache = {}; // Maps paths onto { modtime, entries }
+    }
+
+    /**
+     * Returns the entries of a bibliography file. Files ending on .json are
+     * treated as CSL-JSON, all others as BibTeX.
+     * @param  {String} file The path of the bibliography
+     * @return {Array}       An array of objects containing id, author, title and year.
+     */
+    getEntries(file)
+    {
+        let modtime = 0;
+        try {
+            modtime = fs.lstatSync(file).mtime.getTime();
+        } catch(e) {
+            throw new Error(trans('system.error.bibliography_not_found', file));
+        }
+
+        if(this._cache.hasOwnProperty(file) && this._cache[file].modtime == modtime) {
+            return this._cache[file].entries;
+        }
+
+        let entries = [];
+        try {
+            let cnt = fs.readFileSync(file, 'utf8');
+            entries = (path.extname(file).toLowerCase() == '.json') ? ZettlrCitations.parseCSL(cnt) : ZettlrCitations.parseBibTeX(cnt);
+        } catch(e) {
+            throw new Error(trans('system.error.bibliography_read', file, e.message));
+        }
+
+        this._cache[file] = { 'modtime': modtime, 'entries': entries };
+        return entries;
+    }
+
+    /**
+     * Parses the entries of a BibTeX file.
+     * @param  {String} cnt The contents of the file
+     * @return {Array}      An array of objects containing id, author, title and year.
+     */
+    static parseBibTeX(cnt)
+    {
+        let entries = [];
+        let entryRE = /@(\w+)\s*[{(]/g;
+        let match;
+        while((match = entryRE.exec(cnt)) != null) {
+            let end = findClosing(cnt, entryRE.lastIndex - 1);
+            if(end < 0) {
+                break; // Unterminated entry
+            }
+
+            let body = cnt.substring(entryRE.lastIndex, end);
+            entryRE.lastIndex = end + 1;
+            let comma = body.indexOf(',');
+            if(BIBTEX_IGNORE.includes(match[1].toLowerCase()) || comma < 0) {
+                continue;
+            }
+
+            let fields = parseFields(body.substr(comma + 1));
+            // Names are either "Doe, John" or "John Doe", separated by "and"
+            let names = (fields.author || fields.editor || '').split(/\s+and\s+/).map((name) => {
+                return (name.indexOf(',') > -1) ? name.split(',')[0].trim() : name.trim().split(' ').pop();
+            });
+            entries.push({
+                'id': body.substr(0, comma).trim(),
+                'author': formatAuthors(names),
+                'title': fields.title || '',
+                'year': fields.year || (fields.date || '').substr(0, 4)
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Parses the entries of a CSL-JSON file.
+     * @param  {String} cnt The contents of the file
+     * @return {Array}      An array of objects containing id, author, title and year.
+     */
+    static parseCSL(cnt)
+    {
+        let items = JSON.parse(cnt);
+        if(!Array.isArray(items)) {
+            items = [ items ];
+        }
+
+        return items.filter((item) => { return item && item.id; }).map((item) => {
+            let names = (item.author || item.editor || []).map((name) => {
+                return name.family || name.literal || '';
+            });
+            let issued = item.issued || {};
+            let year = (issued['date-parts'] && issued['date-parts'][0]) ? issued['date-parts'][0][0] : (issued.raw || issued.literal || '');
+            return {
+                'id': String(item.id),
+                'author': formatAuthors(names),
+                'title': item.title || '',
+                'year': String(year).substr(0, 4)
+            };
+        });
+    }
+}
+
+module.exports = ZettlrCitations;
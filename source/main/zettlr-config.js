@@ -99,6 +99,21 @@ class ZettlrConfig
             "snippets"  : true,
             "muteLines" : true,  // Should the editor mute lines in distraction free mode?
             "combinerState" : 'collapsed', // collapsed = Preview or directories visible --- expanded = both visible
+            "linkPreference" : 'id', // Should autocompleted links contain the "id" (if present) or the "title" of a file?
+            "searchHistory" : { // The recent and pinned searches, containing term and options
+                "recent": [],
+                "pinned": []
+            },
+            // Zettelkasten options
+            "zkn"       : {
+                "idPrefix": '@ID:', // The prefix that marks IDs in the files
+                "idPattern": '%Y%M%D%h%m%s' // Tokens: %Y %M %D %h %m %s (date and time), %n (counter), %r (random character)
+            },
+            // Citations: A BibTeX or CSL-JSON file and an optional CSL style
+            "citations" : {
+                "bibliography": '',
+                "csl": ''
+            },
             // Export options
             "pandoc"    : 'pandoc',
             "xelatex"   : 'xelatex',
@@ -123,6 +138,25 @@ class ZettlrConfig
                 "mainfont": 'Times New Roman', // Main font
                 "fontsize": 12 // Will be translated to pt
             },
+            // Options of the other export formats
+            "epub"      : {
+                "cover": '', // Path to the cover image
+                "publisher": '',
+                "language": '' // Such as en-US, empty to let pandoc decide
+            },
+            "latex"     : {
+                "useTemplate": true // Use the layout of the PDF settings instead of pandoc's default
+            },
+            "revealjs"  : {
+                "theme": 'white',
+                "transition": 'slide',
+                "slideLevel": 2 // Headings of this level start a new slide
+            },
+            "text"      : {
+                "columns": 0 // Wrap lines after this many characters, 0 to not wrap at all
+            },
+            // Named export profiles containing name, format, template, filters, args and action (see ZettlrExport)
+            "exportProfiles": [],
             // Language
             "spellcheck": {
                 'en_US' : (this.getLocale() === 'en_US') ? true : false,
@@ -146,6 +180,8 @@ class ZettlrConfig
         // Put the attachment extensions into the global so that the helper
         // function isAttachment() can grab them
         global.attachmentExtensions = this.config.attachmentExtensions;
+        // The same applies to the ID format, which is needed to parse files.
+        global.zkn = this.config.zkn;
     }
 
     /**
@@ -20,6 +20,8 @@ const ZettlrFile             = require('./zettlr-file.js');
 const ZettlrAttachment       = require('./zettlr-attachment.js');
 const ZettlrProject          = require('./zettlr-project.js');
 const ZettlrVirtualDirectory = require('./zettlr-virtual-directory.js');
+const ZettlrSmartDirectory   = require('./zettlr-smart-directory.js');
+const ZettlrFilter           = require('./zettlr-filter.js');
 const ZettlrInterface        = require('./zettlr-interface.js');
 const {shell}                = require('electron');
 const {trans}                = require('../common/lang/i18n.js');
@@ -73,6 +75,7 @@ class ZettlrDir
 
         // Create an interface for virtual directories
         this._vdInterface   = new ZettlrInterface(path.join(this.path, '.ztr-virtual-directories'));
+        this._filter        = null; // Holds the filters of the smart directories, created after the scan
 
         // The directory might've been just been created.
         try {
@@ -86,6 +89,7 @@ class ZettlrDir
         this.scan();
         // Load virtual directories initially (if existent)
         this.loadVirtualDirectories();
+        this.loadSmartDirectories();
 
         if(this.isRoot()) {
             // We have to add our dir to the watchdog
@@ -142,6 +146,15 @@ class ZettlrDir
         this.parent.notifyChange(msg);
     }
 
+    /**
+     * Passes the search index of the app down to the children.
+     * @return {ZettlrSearchIndex} The search index instance.
+     */
+    getSearchIndex()
+    {
+        return this.parent.getSearchIndex();
+    }
+
     /**
      * Takes an object and returns a ZettlrDir-object (or null)
      * @param  {Object} obj An object containing information for search
@@ -208,13 +221,14 @@ class ZettlrDir
 
     /**
      * Either returns a file if the match is exact, or null
-     * @param  {String} term The ID to be searched for
+     * @param  {String}  term           The ID to be searched for
+     * @param  {Boolean} [anchors=true] Whether the term may contain an anchor
      * @return {ZettlrFile}      ZettlrFile or null.
      */
-    findExact(term)
+    findExact(term, anchors = true)
     {
         for(let c of this.children) {
-            let file = c.findExact(term);
+            let file = c.findExact(term, anchors);
             if(file != null) {
                 return file;
             }
@@ -446,8 +460,8 @@ class ZettlrDir
 
         // Remove all children that are no longer present
         for(let c of this.children) {
-            // Hop over virtual directories.
-            if(c.type == 'virtual-directory') {
+            // Hop over virtual and smart directories.
+            if(c.isVirtualDirectory()) {
                 nVirtualDirectories.push(c);
                 continue;
             }
@@ -706,6 +720,61 @@ class ZettlrDir
         }
     }
 
+    /**
+     * Loads the smart directories, i.e. the filters of this directory
+     */
+    loadSmartDirectories()
+    {
+        this._filter = new ZettlrFilter(this);
+        let arr = [];
+        for(let fltr of this._filter.getAll()) {
+            arr.push(new ZettlrSmartDirectory(this, fltr, this._filter));
+        }
+
+        this.children = arr.concat(this.children);
+        this.sort();
+    }
+
+    /**
+     * Adds a smart directory.
+     * @param {String} n       The directory's name
+     * @param {Array}  rules   The rules of the filter
+     * @param {String} combine Whether all (AND) or one of the rules (OR) must match
+     * @return {ZettlrSmartDirectory} The new smart directory.
+     */
+    addSmartDir(n, rules, combine)
+    {
+        n = sanitize(n); // Same rules as "normal" directories.
+        if(n === '') {
+            throw new DirectoryError(trans('system.error.no_allowed_chars'));
+        }
+
+        let sd = new ZettlrSmartDirectory(this, this._filter.add(n, rules, combine), this._filter);
+        this.children.push(sd);
+        this.sort();
+        return sd;
+    }
+
+    /**
+     * Recomputes the children of all smart directories within this directory
+     * and its subdirectories.
+     * @param  {ZettlrFile} [file=null] If given, only this file is checked again.
+     * @return {Boolean} True, if any smart directory has changed.
+     */
+    updateSmartDirectories(file = null)
+    {
+        let changed = false;
+        for(let c of this.children) {
+            if(c.type == 'directory') {
+                changed = c.updateSmartDirectories(file) || changed;
+            } else if(c.type == 'smart-directory') {
+                changed = c.update(file) || changed;
+            }
+        }
+
+        return changed;
+    }
+
     /**
      * Returns the hash of the dir
      * @return {Number} The hash
@@ -14,25 +14,134 @@
  */
 
 const {trans}       = require('../common/lang/i18n.js');
-const {formatDate}  = require('../common/zettlr-helpers.js');
-const {exec}        = require('child_process');
+const {formatDate,
+    getIdPrefix,
+    getTransclusionRE,
+    parseLink,
+    parseFrontMatter} = require('../common/zettlr-helpers.js');
+const {spawn}       = require('child_process');
 const commandExists = require('command-exists').sync; // Need to use here because we cannot rely on the config's availability
 const path          = require('path');
 const fs            = require('fs');
+const os            = require('os');
 const showdown      = require('showdown');
 
+// How many levels of transclusions may be nested into each other
+const MAX_TRANSCLUSION_DEPTH = 5;
+// Matches block anchors at the end of a paragraph, such as "Some text ^blockid"
+const BLOCK_ANCHOR_RE = /\s\^([A-Za-z0-9-]+)\s*$/;
+// The extensions of the formats whose files aren't named after them
+const FILE_EXTENSIONS = { 'revealjs': 'html' };
+// Pandoc expects reveal.js next to the slides, so load it from a CDN instead.
+const REVEALJS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/reveal.js/3.6.0';
+
 /**
  * Error object constructor
- * @param       {string} msg The error message
+ * @param       {string} msg          The error message
+ * @param       {string} name         The title of the error
+ * @param       {string} [details=''] Further details, such as the output of pandoc
  * @constructor
  */
-function ExportError(msg, name = 'Exporting error') {
+function ExportError(msg, name = 'Exporting error', details = '') {
     this.name = name;
     this.message = msg;
+    this.details = details;
+}
+
+/**
+ * Turns a text into a string that can be used as an identifier.
+ * @param  {String} text The text to be converted
+ * @return {String}      The identifier
+ */
+function slug(text)
+{
+    return text.trim().toLowerCase().replace(/[^\w\u00C0-\u024F\s-]/g, '').replace(/\s+/g, '-');
+}
+
+/**
+ * Returns the arguments that set a metadata field of the document in pandoc.
+ * @param  {String} key   The name of the field
+ * @param  {String} value The value
+ * @return {Array}        The arguments.
+ */
+function metadataArgs(key, value)
+{
+    return [ '--metadata', `${key}=${value}` ];
+}
+
+/**
+ * Splits a string of command line arguments into single arguments. Just like
+ * in a shell, arguments are separated by whitespace, unless it is quoted or
+ * escaped with a backslash. Nothing else is interpreted.
+ * @param  {String} str The arguments, e.g. --variable="title:A title"
+ * @return {Array}      The arguments, e.g. [ '--variable=title:A title' ].
+ */
+function splitArgs(str)
+{
+    let args = [];
+    let current = null; // null between two arguments
+    let quote = '';
+    for(let i = 0; i < str.length; i++) {
+        let c = str.charAt(i);
+        if(quote) {
+            if(c == quote) {
+                quote = '';
+            } else if(c == '\\' && quote == '"' && i + 1 < str.length) {
+                current += str.charAt(++i);
+            } else {
+                current += c;
+            }
+        } else if(/\s/.test(c)) {
+            if(current !== null) {
+                args.push(current);
+                current = null;
+            }
+        } else {
+            if(current === null) {
+                current = '';
+            }
+            if(c == '"' || c == "'") {
+                quote = c;
+            } else if(c == '\\' && i + 1 < str.length) {
+                current += str.charAt(++i);
+            } else {
+                current += c;
+            }
+        }
+    }
+
+    if(current !== null) {
+        args.push(current);
+    }
+
+    return args;
+}
+
+/**
+ * Joins the values of a metadata field, which may either be a string or a list.
+ * @param  {Mixed} value The value of the field
+ * @return {String}      The values, separated by commas.
+ */
+function joinMetadata(value)
+{
+    return [].concat(value).join(', ');
+}
+
+/**
+ * Returns the prefix of all identifiers inside a file, so that equally named
+ * headings of different files don't collide.
+ * @param  {ZettlrFile} file The file
+ * @return {String}      The prefix
+ */
+function anchorPrefix(file)
+{
+    return slug(file.id || path.basename(file.name, path.extname(file.name)));
 }
 
 /**
  * ZettlrExport is a stateless class that gets invoked via the constructor.
+ * Pandoc is spawned without a shell, so that file names can't be interpreted
+ * as shell code. Running exports can be cancelled using cancel().
  * TODO: Failsafe-checks for options!
  */
 class ZettlrExport
@@ -47,13 +156,26 @@ class ZettlrExport
      *     'file': {
      *         'path': "The source path",
      *         'name': "The name only",
-     *         'read': "function that returns the contents"
+     *         'read': "function that returns the contents",
+     *         'frontmatter': Optional metadata of the file. Its title,
+     *                author, date and keywords (or tags) override the
+     *                respective options.
      *     },
      *     'dest': "The target directory",
-     *     'format': "The format to which to export, can be pdf, odt, docx or html"
+     *     'format': "The format to which to export, can be pdf, odt, docx,
+     *                html, epub, tex, revealjs (HTML slides) or txt"
      *     'stripIDs': Should IDs be stripped?
      *     'stripTags': Should tags be stripped?
      *     'stripLinks': false, unlink, full
+     *     'findExact': Optional function that resolves transclusions to files
+     *     'members': Optional array of all files that are part of the same
+     *                build. Links to their headings and blocks (such as
+     *                [[ID#Heading]]) become cross-references. The files must
+     *                have been prepared with ZettlrExport.anchor().
+     *     'bibliography': Optional path to a BibTeX or CSL-JSON file. Citations
+     *                such as [@citekey] are formatted using its references
+     *                (not on HTML export).
+     *     'csl': Optional path to the CSL style of the citations
      *     'pdf': {
      *         'pagenumbering': 'numbering',
      *         'papertype': 'Papertype to be used',
@@ -67,33 +189,76 @@ class ZettlrExport
      *         'fontsize': 'integer',
      *         'toc': 'Should a table of contents be generated?',
      *         'tocDepth': 'Level of headings to be evaluated: 1-6'
-     *     }
+     *     },
+     *     'epub': {
+     *         'cover': 'Path to the cover image',
+     *         'publisher': 'The publisher',
+     *         'language': 'The language, such as en-US'
+     *     },
+     *     'latex': {
+     *         'useTemplate': 'Should the PDF settings be used as layout?'
+     *     },
+     *     'revealjs': {
+     *         'theme': 'The reveal.js theme',
+     *         'transition': 'The transition between slides',
+     *         'slideLevel': 'Headings of this level start a new slide'
+     *     },
+     *     'text': {
+     *         'columns': 'Line width, 0 to not wrap the lines'
+     *     },
+     *     'profile': Optional export profile, which overrides the format: {
+     *         'name': 'The name of the profile',
+     *         'format': 'The format, see above',
+     *         'template': 'The reference document (ODT and DOCX) or the
+     *                      pandoc template (all other formats)',
+     *         'filters': 'Array of Lua filters',
+     *         'args': 'Additional arguments for pandoc',
+     *         'action': 'What to do with the result: open, reveal or none'
+     *     },
      *     'title': "Title of the document",
      *     'author': "Author of the document",
+     *     'date': "Date of the document (optional, defaults to today)",
      *     'keywords': "Keywords, separated by comma",
      *     'tplDir': "Where are the docx and odt templates?"
      * }
-     * @param {Zettlr} app     The app object (needed for occasional access of the configuration object or for showing errors)
-     * @param {Object} options An object containing necessary configuration to export
+     * Errors in the options are thrown. Errors during the export itself are
+     * passed to the callback, together with the output of pandoc.
+     * @param {Object}   options         An object containing necessary configuration to export
+     * @param {Function} [callback=null] Called once the export has ended with an ExportError (or null on success), whether the export has been cancelled and an ExportError if the temporary files couldn't be removed (or null).
      */
-    constructor(options)
+    constructor(options, callback = null)
     {
         // First: Initialise the engine
         // Make the variables available to all functions
         this.options = options;
-        this.tpl = '';
-        this.command = '';
+        if(this.options.profile) {
+            this.options.format = this.options.profile.format;
+        }
+        this.callback = callback;
+        this.args = []; // The arguments for pandoc
+        this.process = null; // The running pandoc process
+        this.cancelled = false;
+        this.cleanupError = null; // Set if the temporary files couldn't be removed
         this.showdown = null;
         // We already know where the file will end up
-        this.targetFile = path.join(this.options.dest, path.basename(this.options.file.path, path.extname(this.options.file.path)) + "." + this.options.format);
-        // Intermediary file containing all content replacements et al.
-        this.tempfile = path.join(this.options.dest, 'export.tmp');
+        this.targetFile = path.join(this.options.dest, path.basename(this.options.file.path, path.extname(this.options.file.path)) + "." + (FILE_EXTENSIONS[this.options.format] || this.options.format));
+        // Every export gets a directory of its own for the intermediary file
+        // containing all content replacements et al. and the template.
+        this.tempDir = '';
+        this.tempfile = '';
         // If we have PDF export, we need a template file
         this.textpl = '';
+        // The arguments that make pandoc format the citations
+        this.citeproc = [];
+        // The template and additional arguments of the export profile
+        this.template = '';
+        this.profileArgs = [];
+        // HTML is exported using showdown, unless a profile needs pandoc.
+        this.useShowdown = (this.options.format == 'html' && !this.options.profile);
 
         // Second make sure pandoc is installed. Without, only HTML is possible
         // through showdown.
-        if(!commandExists('pandoc') && this.options.format != "html") {
+        if(!commandExists('pandoc') && !this.useShowdown) {
             throw new ExportError(trans('system.error.no_pandoc_message'), trans('system.error.no_pandoc_title'));
         }
 
@@ -113,32 +278,71 @@ class ZettlrExport
             this.options.pdf.titlepage = false;
         }
 
-        //  Third prepare the export (e.g., strip IDs, tags or other unnecessary stuff)
-        this._prepareFile();
+        if(this.options.file.frontmatter) {
+            this._applyFrontMatter(this.options.file.frontmatter);
+        }
 
-        if(this.options.format == 'pdf') {
-            this._buildLatexTpl();
+        if(this.options.bibliography && !this.useShowdown) {
+            this._prepareCitations();
         }
 
-        // Fourth defer to the respective functions.
-        switch(this.options.format)
-        {
-            case 'html':
-            this._prepareHTML();
-            break;
-            case 'odt':
-            case 'docx':
-            this._prepareWordProcessor();
-            break;
-            case 'pdf':
-            this._preparePDF();
-            break;
-            default:
-            // this.app.notify('Unknown format: ' + this.options.format);
-            break;
+        if(this.options.profile) {
+            this._prepareProfile();
         }
 
-        this._make();
+        // Files that can't be removed are left to the system's cleanup.
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zettlr-export-'));
+        this.tempfile = path.join(this.tempDir, 'export.md');
+
+        try {
+            //  Third prepare the export (e.g., strip IDs, tags or other unnecessary stuff)
+            this._prepareFile();
+
+            // The template of a profile replaces ours.
+            let needsTemplate = (this.options.format == 'pdf' || (this.options.format == 'tex' && this.options.latex.useTemplate));
+            if(needsTemplate && !this.template) {
+                this._buildLatexTpl();
+            }
+
+            // Fourth defer to the respective functions.
+            switch(this.options.format)
+            {
+                case 'html':
+                if(this.useShowdown) {
+                    this._prepareHTML();
+                } else {
+                    this._preparePandocHTML();
+                }
+                break;
+                case 'odt':
+                case 'docx':
+                this._prepareWordProcessor();
+                break;
+                case 'pdf':
+                this._preparePDF();
+                break;
+                case 'epub':
+                this._prepareEPUB();
+                break;
+                case 'tex':
+                this._prepareLaTeX();
+                break;
+                case 'revealjs':
+                this._prepareSlides();
+                break;
+                case 'txt':
+                this._prepareText();
+                break;
+                default:
+                // this.app.notify('Unknown format: ' + this.options.format);
+                break;
+            }
+
+            this._make();
+        } catch(err) {
+            this._cleanup();
+            throw err;
+        }
 
     }
 
@@ -152,10 +356,26 @@ class ZettlrExport
         // First load the file.
         let cnt = this.options.file.read();
 
+        // Replace transclusions with the contents of the referenced files
+        // before stripping anything, so that these contents are stripped as well.
+        if(this.options.findExact) {
+            cnt = ZettlrExport.transclude(cnt, this.options.findExact, [ this.options.file.path ]);
+        }
+
+        if(this.options.findExact && this.options.members) {
+            cnt = ZettlrExport.crossReference(cnt, this.options.findExact, this.options.members);
+        }
+
+        // Showdown doesn't understand front matter, only pandoc does.
+        if(this.useShowdown) {
+            cnt = ZettlrExport.stripFrontMatter(cnt);
+        }
+
         // Second check if we should strip something, if yes, do so.
         if(this.options.stripIDs) {
-            // Strip all ZKN-IDs in format @ID:
-            cnt = cnt.replace(/[^\[\[]@ID:([^\s]*)/g, ''); // Regular expression from ZettlrFile class
+            // Strip all ZKN-IDs in format <prefix><id>, but leave links to IDs in place
+            let prefix = getIdPrefix().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            cnt = cnt.replace(new RegExp('(^|[^\\[])' + prefix + '[^\\s]*', 'gm'), '$1');
         }
 
         if(this.options.stripTags) {
@@ -177,12 +397,194 @@ class ZettlrExport
         fs.writeFileSync(this.tempfile, cnt, 'utf8');
     }
 
+    /**
+     * Replaces all transclusions in the format of ![[ID]] or ![[Title]] with the
+     * contents of the referenced files. Transclusions that can't be resolved
+     * are left as normal links.
+     * @param  {String}   cnt       The text containing the transclusions
+     * @param  {Function} findExact A function that returns the file matching a term, or null
+     * @param  {Array}    [chain=[]] The paths of the files that are currently being transcluded
+     * @return {String}             The text with all transclusions replaced.
+     */
+    static transclude(cnt, findExact, chain = [])
+    {
+        return cnt.replace(getTransclusionRE(), (match, term) => {
+            let file = findExact(term.trim());
+            if(file == null) {
+                return `[[${term}]]`;
+            }
+
+            if(chain.includes(file.path)) {
+                let cycle = chain.slice(chain.indexOf(file.path)).concat(file.path);
+                throw new ExportError(trans('system.error.transclusion_cycle', cycle.map((p) => { return path.basename(p); }).join(' → ')));
+            }
+
+            if(chain.length > MAX_TRANSCLUSION_DEPTH) {
+                throw new ExportError(trans('system.error.transclusion_depth', MAX_TRANSCLUSION_DEPTH));
+            }
+
+            // The metadata of transcluded files must not end up in the text.
+            return ZettlrExport.transclude(ZettlrExport.stripFrontMatter(file.read()).trim(), findExact, chain.concat(file.path));
+        });
+    }
+
+    /**
+     * Removes the YAML front matter from a text.
+     * @param  {String} cnt The text
+     * @return {String}     The text without the front matter.
+     */
+    static stripFrontMatter(cnt)
+    {
+        return cnt.split('\n').slice(parseFrontMatter(cnt).lines).join('\n');
+    }
+
+    /**
+     * Adds identifiers to all headings and block anchors of a file, so that
+     * other files of the same build can reference them. Headings that already
+     * contain an explicit identifier are left untouched.
+     * @param  {String}     cnt  The contents of the file
+     * @param  {ZettlrFile} file The file itself
+     * @return {String}          The contents with identifiers.
+     */
+    static anchor(cnt, file)
+    {
+        let prefix = anchorPrefix(file);
+        let fenced = false;
+
+        return cnt.split('\n').map((line) => {
+            if(/^\s*(```|~~~)/.test(line)) {
+                fenced = !fenced;
+            }
+            if(fenced) {
+                return line;
+            }
+
+            let match = BLOCK_ANCHOR_RE.exec(line);
+            if(/^#{1,6} /.test(line) && !/\{#[^}]*\}\s*$/.test(line)) {
+                return `${line.trim()} {#${prefix}-${slug(line.replace(/^#{1,6} /, ''))}}`;
+            } else if(match != null) {
+                return line.substr(0, match.index) + ` []{#${prefix}-${match[1]}}`;
+            }
+
+            return line;
+        }).join('\n');
+    }
+
+    /**
+     * Replaces links to headings or blocks of the given files with internal
+     * links to the identifiers created by ZettlrExport.anchor().
+     * @param  {String}   cnt       The text containing the links
+     * @param  {Function} findExact A function that returns the file matching a term, or null
+     * @param  {Array}    members   The files that are part of the build
+     * @return {String}             The text with the cross-references.
+     */
+    static crossReference(cnt, findExact, members)
+    {
+        return cnt.replace(/\[\[(.+?)\]\]/g, (match, content) => {
+            let link = parseLink(content);
+            if(!link.heading && !link.block) {
+                return match;
+            }
+
+            let file = findExact(link.target);
+            if(file == null || !members.includes(file)) {
+                return match;
+            }
+
+            if(link.heading) {
+                return `[${link.heading}](#${anchorPrefix(file)}-${slug(link.heading)})`;
+            }
+
+            return `[${path.basename(file.name, path.extname(file.name))}](#${anchorPrefix(file)}-${link.block})`;
+        });
+    }
+
+    /**
+     * Overrides the title, author, date and keywords with those given in the
+     * front matter of the document. If there are no keywords, its tags are used.
+     * @param  {Object} meta The metadata of the front matter
+     */
+    _applyFrontMatter(meta)
+    {
+        for(let key of [ 'title', 'author', 'date' ]) {
+            if(meta[key]) {
+                this.options[key] = joinMetadata(meta[key]);
+            }
+        }
+
+        let keywords = meta.keywords || meta.tags;
+        if(keywords) {
+            this.options.keywords = joinMetadata(keywords);
+        }
+    }
+
+    /**
+     * Prepares the arguments that make pandoc format all citations and append
+     * the list of references. Older versions of pandoc need the
+     * pandoc-citeproc filter, newer ones have citeproc built in.
+     */
+    _prepareCitations()
+    {
+        if(!fs.existsSync(this.options.bibliography)) {
+            throw new ExportError(trans('system.error.bibliography_not_found', this.options.bibliography));
+        }
+
+        if(this.options.csl && !fs.existsSync(this.options.csl)) {
+            throw new ExportError(trans('system.error.csl_not_found', this.options.csl));
+        }
+
+        this.citeproc = (commandExists('pandoc-citeproc')) ? [ '--filter', 'pandoc-citeproc' ] : [ '--citeproc' ];
+        this.citeproc.push('--bibliography=' + this.options.bibliography);
+        if(this.options.csl) {
+            this.citeproc.push('--csl=' + this.options.csl);
+        }
+    }
+
+    /**
+     * Checks the files of the export profile and prepares its arguments.
+     * Relative paths are resolved against the directory of the exported file.
+     */
+    _prepareProfile()
+    {
+        let profile = this.options.profile;
+        let dir = path.dirname(this.options.file.path);
+
+        if(profile.template) {
+            this.template = path.resolve(dir, profile.template);
+            if(!fs.existsSync(this.template)) {
+                throw new ExportError(trans('system.error.template_not_found', this.template));
+            }
+        }
+
+        this.profileArgs = [];
+        for(let filter of profile.filters || []) {
+            filter = path.resolve(dir, filter);
+            if(!fs.existsSync(filter)) {
+                throw new ExportError(trans('system.error.filter_not_found', filter));
+            }
+            this.profileArgs.push('--lua-filter=' + filter);
+        }
+
+        if(profile.args) {
+            this.profileArgs = this.profileArgs.concat(splitArgs(profile.args));
+        }
+    }
+
+    /**
+     * Returns the arguments to use the template of the export profile.
+     * @return {Array} The arguments, which are empty if there is no template.
+     */
+    _templateArgs()
+    {
+        return (this.template) ? [ '--template=' + this.template ] : [];
+    }
+
     /**
      * On PDF export only, this function is called to prepare the LaTeX-template file
      */
     _buildLatexTpl()
     {
-        this.textpl = path.join(this.options.dest, 'template.latex');
+        this.textpl = path.join(this.tempDir, 'template.latex');
         let pdf = this.options.pdf; // Retrieve the PDF options
         let cnt = fs.readFileSync(path.join(__dirname, './assets/export.tex'), 'utf8');
         // Do updates to the template
@@ -206,6 +608,7 @@ class ZettlrExport
         cnt = cnt.replace('%PDF_SUBJECT%', this.options.title);
         cnt = cnt.replace(/%PDF_AUTHOR%/g, this.options.author);
         cnt = cnt.replace(/%PDF_KEYWORDS%/g, this.options.keywords);
+        cnt = cnt.replace('%PDF_DATE%', this.options.date || '\\today');
 
         if(this.options.pdf.titlepage) {
             cnt = cnt.replace('%TITLEPAGE%', '\\maketitle\n\\pagebreak\n');
@@ -236,27 +639,150 @@ class ZettlrExport
         this.showdown.setFlavor('github');
     }
 
+    /**
+     * Prepares the export to HTML via pandoc, which is used by export profiles,
+     * because they may contain templates and filters.
+     */
+    _preparePandocHTML()
+    {
+        this._setArgs([ '-s' ].concat(this._templateArgs(), this._metadataArgs()), 'html5');
+    }
+
     /**
      * Prepares the export via pandoc using a reference document (e.g., odt or docx)
      */
     _prepareWordProcessor()
     {
         // -s is the standalone flag
-        this.tpl = '--reference-doc="' + path.join(this.options.tplDir, 'template.' + this.options.format) + '" -s';
-        this.command = `pandoc "${this.tempfile}" -f markdown ${this.tpl} -t ${this.options.format} -o "${this.targetFile}"`;
+        let refdoc = this.template || path.join(this.options.tplDir, 'template.' + this.options.format);
+        this._setArgs([ '--reference-doc=' + refdoc, '-s' ], this.options.format);
     }
 
     _preparePDF()
     {
         // TODO: In the future generate the template based on user's decisions.
-        this.tpl = `--template="${this.textpl}"`;
+        let args = [ '--template=' + (this.template || this.textpl) ].concat(this._tocArgs());
+        args.push('--pdf-engine=xelatex');
+        this._setArgs(args);
+    }
 
+    /**
+     * Returns the arguments that make pandoc generate a table of contents, if
+     * the PDF settings say so.
+     * @return {Array} The arguments.
+     */
+    _tocArgs()
+    {
         // It is necessary to tell Pandoc to generate a toc explicitly, b/c then
         // we don't need to grab the pre-rendered tex-file prior and chase it
         // through the xelatex engine manually and can let pandoc do the work.
-        let toc = (this.options.pdf.toc) ? '--toc' : '';
-        let tocdepth = (this.options.pdf.tocDepth) ? '--toc-depth='+this.options.pdf.tocDepth : '';
-        this.command = `pandoc "${this.tempfile}" -f markdown ${this.tpl} ${toc} ${tocdepth} --pdf-engine=xelatex -o "${this.targetFile}"`;
+        let args = [];
+        if(this.options.pdf.toc) {
+            args.push('--toc');
+        }
+        if(this.options.pdf.tocDepth) {
+            args.push('--toc-depth=' + this.options.pdf.tocDepth);
+        }
+
+        return args;
+    }
+
+    /**
+     * Sets the arguments for pandoc, which convert the temporary file into the
+     * target file.
+     * @param {Array}  args      The arguments specific to the format
+     * @param {String} [to=null] The output format, if pandoc can't tell it from the target file
+     */
+    _setArgs(args, to = null)
+    {
+        this.args = [ this.tempfile, '-f', 'markdown' ].concat(args, this.citeproc);
+        if(to) {
+            this.args.push('-t', to);
+        }
+        this.args.push('-o', this.targetFile);
+    }
+
+    /**
+     * Returns the arguments that pass the title, author and date to pandoc.
+     * Fields of the front matter are left to pandoc, so that lists of authors
+     * remain lists.
+     * @return {Array} The arguments.
+     */
+    _metadataArgs()
+    {
+        let meta = this.options.file.frontmatter || {};
+        let args = [];
+        for(let key of [ 'title', 'author', 'date' ]) {
+            if(!meta[key] && this.options[key]) {
+                args = args.concat(metadataArgs(key, this.options[key]));
+            }
+        }
+
+        return args;
+    }
+
+    /**
+     * Prepares the export to EPUB together with the cover image and metadata.
+     */
+    _prepareEPUB()
+    {
+        let epub = this.options.epub;
+        let args = this._templateArgs().concat(this._metadataArgs());
+        if(epub.cover) {
+            if(!fs.existsSync(epub.cover)) {
+                throw new ExportError(trans('system.error.cover_not_found', epub.cover));
+            }
+            args.push('--epub-cover-image=' + epub.cover);
+        }
+        if(this.options.keywords) {
+            args = args.concat(metadataArgs('subject', this.options.keywords));
+        }
+        if(epub.publisher) {
+            args = args.concat(metadataArgs('publisher', epub.publisher));
+        }
+        if(epub.language) {
+            args = args.concat(metadataArgs('lang', epub.language));
+        }
+
+        this._setArgs(args, 'epub');
+    }
+
+    /**
+     * Prepares the export to a LaTeX source file, either using the layout of
+     * the PDF settings or pandoc's default template.
+     */
+    _prepareLaTeX()
+    {
+        // -s is the standalone flag, which a template implies.
+        let template = this.template || this.textpl;
+        let args = (template) ? [ '--template=' + template ] : [ '-s' ].concat(this._metadataArgs());
+        this._setArgs(args.concat(this._tocArgs()), 'latex');
+    }
+
+    /**
+     * Prepares the export to reveal.js slides, which are split at headings.
+     */
+    _prepareSlides()
+    {
+        let reveal = this.options.revealjs;
+        let args = [
+            '-s',
+            '--slide-level=' + parseInt(reveal.slideLevel),
+            '--variable=theme:' + reveal.theme,
+            '--variable=transition:' + reveal.transition,
+            '--variable=revealjs-url:' + REVEALJS_URL
+        ];
+        this._setArgs(args.concat(this._templateArgs(), this._metadataArgs()), 'revealjs');
+    }
+
+    /**
+     * Prepares the export to plain text without any Markdown formatting.
+     */
+    _prepareText()
+    {
+        let columns = parseInt(this.options.text.columns) || 0;
+        let wrap = (columns > 0) ? [ '--wrap=auto', '--columns=' + columns ] : [ '--wrap=none' ];
+        this._setArgs(wrap.concat(this._templateArgs()), 'plain');
     }
 
     /**
@@ -265,14 +791,14 @@ class ZettlrExport
      */
     _make()
     {
-        if(this.options.format == 'html' && this.showdown != null) {
+        if(this.useShowdown && this.showdown != null) {
             // Simply write the target file ourselves. Therefore first convert
             // to HTML and insert into the template, then replace the variables.
             let file = fs.readFileSync(this.tempfile, 'utf8');
             file = this.showdown.makeHtml(file);
             file = fs.readFileSync(path.join(__dirname, './assets/export.tpl'), 'utf8').replace('%BODY%', file);
-            file = file.replace('%TITLE%', this.options.file.name);
-            file = file.replace('%DATE%', formatDate(new Date()));
+            file = file.replace('%TITLE%', this.options.title || this.options.file.name);
+            file = file.replace('%DATE%', this.options.date || formatDate(new Date()));
             // Replace footnotes. As HTML is only meant for preview & quick prints,
             // it doesn't matter how exact it is. Doesn't need to get to pandoc's
             // abilities.
@@ -286,67 +812,117 @@ class ZettlrExport
             fs.writeFile(this.targetFile, file, 'utf8', (err) => {
                 this._cleanup(); // Has to be done even on error
                 if(err) {
-                    return this._abort(err);
+                    return this._done(new ExportError(trans('system.error.export_error_message', err.message), trans('system.error.export_error_title')));
                 }
 
                 this._finish();
+                this._done(null);
             });
             return;
         }
 
-        if(!this.command || this.command.length == 0) {
+        if(this.args.length == 0) {
             // No command given -> abort
             throw new ExportError('Exporting command was empty');
         }
 
-        exec(this.command, { 'cwd': this.options.dest }, (error, stdout, stderr) => {
+        // The arguments of the profile come last to override ours.
+        let stderr = '';
+        this.process = spawn('pandoc', this.args.concat(this.profileArgs), { 'cwd': this.options.dest });
+        this.process.stderr.on('data', (data) => { stderr += data; });
+        // Emitted if pandoc couldn't be started at all
+        this.process.on('error', (err) => {
+            this.process = null;
+            this._cleanup();
+            this._done(new ExportError(trans('system.error.export_error_message', err.message), trans('system.error.export_error_title')));
+        });
+        this.process.on('close', (code, signal) => {
+            this.process = null;
             this._cleanup(); // Has to be done even on error
-            if (error) {
-                return this._abort(error);
+            if(this.cancelled) {
+                return this._done(null);
+            }
+
+            if(code !== 0) {
+                let reason = (signal) ? signal : trans('system.error.export_exit_code', code);
+                return this._done(new ExportError(trans('system.error.export_error_message', reason), trans('system.error.export_error_title'), stderr.trim()));
             }
 
             this._finish();
+            this._done(null);
         });
     }
 
     /**
-     * Abort by showing an error prompt
-     * @param  {String} [error=''] The error, if given
+     * Cancels the export, if pandoc is still running. The callback is called
+     * as soon as pandoc has ended.
+     */
+    cancel()
+    {
+        if(this.process != null) {
+            this.cancelled = true;
+            this.process.kill();
+        }
+    }
+
+    /**
+     * Is pandoc still running?
+     * @return {Boolean} True, if the export has not yet ended.
+     */
+    isRunning()
+    {
+        return this.process != null;
+    }
+
+    /**
+     * Calls the callback exactly once.
+     * @param  {ExportError} err The error, or null if the export has succeeded or was cancelled
      */
-    _abort(error = '')
+    _done(err)
     {
-        throw new ExportError(trans('system.error.export_error_message', error), trans('system.error.export_error_title'));
+        if(this.callback) {
+            let callback = this.callback;
+            this.callback = null;
+            callback(err, this.cancelled, this.cleanupError);
+        }
     }
 
     /**
-     * Cleanup operations (such as removing the temporary files)
+     * Cleanup operations (removes the temporary directory with all files). If
+     * the files can't be removed, cleanupError is set, as this doesn't affect
+     * the export itself.
      */
     _cleanup()
     {
-        // remove the temporary file and then open it externally. Also, show
-        // a notification that the export is complete.
-        fs.unlink(this.tempfile, (err) => {
-            if(err) {
-                throw new ExportError(trans('system.error.export_temp_file', this.tempfile));
-            }
-        });
+        if(!this.tempDir) {
+            return;
+        }
 
-        // Remove LaTeX template file if given
-        if(this.options.format == 'pdf') {
-            fs.unlink(this.textpl, (err) => {
-                if(err) {
-                    throw new ExportError(trans('system.error.export_temp_file', this.textpl));
-                }
-            });
+        try {
+            for(let file of fs.readdirSync(this.tempDir)) {
+                fs.unlinkSync(path.join(this.tempDir, file));
+            }
+            fs.rmdirSync(this.tempDir);
+        } catch(err) {
+            this.cleanupError = new ExportError(trans('system.error.export_temp_file', this.tempDir));
+            return;
         }
+
+        this.tempDir = '';
     }
 
     /**
-     * Finish the export: Open the resulting file and notify of successful export.
+     * Finish the export: Open the resulting file (or show it in its folder, if
+     * the export profile says so) and notify of successful export.
      */
     _finish()
     {
-        require('electron').shell.openItem(this.targetFile);
+        let action = (this.options.profile) ? this.options.profile.action : 'open';
+        if(action == 'reveal') {
+            require('electron').shell.showItemInFolder(this.targetFile);
+        } else if(action != 'none') {
+            require('electron').shell.openItem(this.targetFile);
+        }
     }
 }
 
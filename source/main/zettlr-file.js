@@ -17,7 +17,10 @@ const fs                    = require('fs');
 const path                  = require('path');
 const sanitize              = require('sanitize-filename');
 const {shell}               = require('electron');
-const {hash, ignoreFile}    = require('../common/zettlr-helpers.js');
+const {hash, ignoreFile,
+    getIdPrefix, getIdRE,
+    parseLink,
+    parseFrontMatter}       = require('../common/zettlr-helpers.js');
 const {trans}               = require('../common/lang/i18n.js');
 
 /**
@@ -49,7 +52,12 @@ class ZettlrFile
         this.path         = '';
         this.hash         = null;
         this.id           = ''; // The ID, if there is one inside the file.
+        this.ids          = []; // All IDs of the file, beginning with the one of the front matter.
+        this.title        = ''; // The title given in the front matter, if there is one.
+        this.frontmatter  = {}; // The metadata of the YAML front matter.
         this.tags         = []; // All tags that are to be found inside the file's contents.
+        this.links        = []; // All internal links ([[Link]]) inside the file's contents.
+        this.headings     = []; // All headings inside the file's contents, together with their lines.
         this.type         = 'file';
         this.ext          = '';
         this.modtime      = 0;
@@ -129,18 +137,35 @@ class ZettlrFile
         // For further reference (as soon as it gets implemented; the proposal
         // is from March 21, 2018 (lel), here the correct regex needed:)
         // let idRE = /(?<!\[\[)@ID:(.*)(?!\]\])/g
-        let idRE = /@ID:([^\s]*)/g;
+        let idRE = getIdRE();
         let tagRE = /#([A-Z0-9-_]+)/gi;
+        let linkRE = /\[\[(.+?)\]\]/g;
         let match;
 
 
         // (Re-)read content of file
         let cnt = fs.readFileSync(this.path, { encoding: "utf8" });
-        this.snippet = (cnt.length > 50) ? cnt.substr(0, 50) + '…' : cnt ;
+        let lines = cnt.split('\n');
+
+        // The front matter is not part of the text itself, so only the body
+        // is searched for the snippet, tags, links and headings.
+        let frontmatter = parseFrontMatter(cnt);
+        this.frontmatter = frontmatter.meta;
+        this.title = (typeof this.frontmatter.title == 'string') ? this.frontmatter.title : '';
+        let body = lines.slice(frontmatter.lines).join('\n');
+        this.snippet = (body.length > 50) ? body.substr(0, 50) + '…' : body ;
 
-        // Now read all tags
+        // Now read all tags, beginning with those of the front matter, which
+        // are either a list or separated by commas.
         this.tags = [];
-        while((match = tagRE.exec(cnt)) != null) {
+        let fmTags = this.frontmatter.tags || [];
+        for(let tag of (Array.isArray(fmTags)) ? fmTags : fmTags.split(',')) {
+            tag = String(tag).trim().replace(/^#/, '');
+            if(tag.length > 0) {
+                this.tags.push(tag.toLowerCase());
+            }
+        }
+        while((match = tagRE.exec(body)) != null) {
             let tag = match[1];
             tag = tag.replace(/#/g, ''); // Prevent headings levels 2-6 from showing up in the tag list
             if(tag.length > 0) {
@@ -150,21 +175,52 @@ class ZettlrFile
         // Remove duplicates
         this.tags = [...new Set(this.tags)];
 
-        // Search for an ID
-        if((match = idRE.exec(cnt)) == null) {
-            return cnt;
+        // Read all links, so that the renderer is able to draw the graph
+        this.links = [];
+        while((match = linkRE.exec(body)) != null) {
+            let link = match[1].trim();
+            if(link.length > 0) {
+                this.links.push(link);
+            }
+        }
+        this.links = [...new Set(this.links)];
+
+        // Read all headings, so that the renderer is able to jump to them
+        this.headings = [];
+        let inCode = false;
+        for(let i = frontmatter.lines; i < lines.length; i++) {
+            if(/^\s*(```|~~~)/.test(lines[i])) {
+                inCode = !inCode; // Ignore comments inside code blocks
+            } else if(!inCode && (match = /^(#{1,6})\s+(.+?)(?:\s+#+)?\s*$/.exec(lines[i])) != null) {
+                this.headings.push({ 'level': match[1].length, 'text': match[2], 'line': i });
+            }
         }
 
-        let index = 0;
-        do {
-            if(cnt.substr(match.index-2, match.index) != '[[') {
-                // Found the first ID. Precedence should go to the first found.
-                break;
+        // Collect all IDs, which are either given in the front matter or
+        // occur in the body outside of links. Precedence goes to the first
+        // ID found in the text.
+        this.ids = [];
+        if(typeof this.frontmatter.id == 'string' || typeof this.frontmatter.id == 'number') {
+            let fmId = String(this.frontmatter.id).trim();
+            if(fmId.indexOf(getIdPrefix()) == 0) {
+                fmId = fmId.substr(getIdPrefix().length);
+            }
+            if(fmId.length > 0) {
+                this.ids.push(fmId);
             }
-        } while((match = idRE.exec(cnt)) != null);
+        }
 
-        if((match != null) && (match[1].substr(-2) != ']]')) {
-            this.id = match[1] || '';
+        this.id = '';
+        while((match = idRE.exec(body)) != null) {
+            if(body.substr(match.index - 2, 2) == '[[' || match[1].substr(-2) == ']]' || match[1].length == 0) {
+                continue;
+            }
+            if(this.id == '') {
+                this.id = match[1];
+            }
+            if(!this.ids.includes(match[1])) {
+                this.ids.push(match[1]);
+            }
         }
 
         return cnt;
@@ -211,6 +267,7 @@ class ZettlrFile
             'path'         : this.path,
             'hash'         : this.hash,
             'id'           : this.id, // The ID, if there is one inside the file.
+            'title'        : this.title,
             'type'         : this.type,
             'ext'          : this.ext,
             'modtime'      : this.modtime,
@@ -223,6 +280,26 @@ class ZettlrFile
         return f;
     }
 
+    /**
+     * Returns the first paragraph of the file, omitting the front matter,
+     * headings and a paragraph only consisting of the ID.
+     * @param  {Number} [maxLength=300] The maximum length of the returned text
+     * @return {String}                 The first paragraph.
+     */
+    getFirstParagraph(maxLength = 300)
+    {
+        let cnt = this.read();
+        cnt = cnt.split('\n').slice(parseFrontMatter(cnt).lines).join('\n');
+        let paragraphs = cnt.split(/\n\s*\n/).map((p) => { return p.trim(); });
+        let idRE = getIdRE();
+        let first = paragraphs.find((p) => {
+            let id = p.match(idRE);
+            return p.length > 0 && !/^#{1,6}\s/.test(p) && !(id && id[0] == p);
+        }) || '';
+
+        return (first.length > maxLength) ? first.substr(0, maxLength) + '…' : first;
+    }
+
     /**
      * Returns this or null based on whether this is the correct file.
      * @param  {object} obj The object containing a hash or a path
@@ -249,21 +326,29 @@ class ZettlrFile
     }
 
     /**
-     * Either returns this, if the ID matches the term, or null
-     * @param  {String} term The ID-term to be searched for
+     * Either returns this, if the ID matches the term, or null. Anchors to
+     * headings or blocks (such as ID#Heading) are ignored, unless anchors is
+     * false.
+     * @param  {String}  term           The ID-term to be searched for
+     * @param  {Boolean} [anchors=true] Whether the term may contain an anchor
      * @return {ZettlrFile}      This or null.
      */
-    findExact(term)
+    findExact(term, anchors = true)
     {
-        let name = this.name.substr(0, this.name.length - this.ext.length);
-        let titleFound = (name.toLowerCase() === term.toLowerCase()) ? true : false;
-        // Remove a possible @ID: in the term
-        if(term.indexOf(':') > -1) {
-            term = term.split(':')[1];
+        let name = this.name.substr(0, this.name.length - this.ext.length).toLowerCase();
+        // Titles may contain a "#" themselves, so also test the full term.
+        let titleFound = (name === term.toLowerCase()) ? true : false;
+        if(anchors) {
+            term = parseLink(term).target;
+            titleFound = titleFound || (name === term.toLowerCase());
+        }
+        // Remove a possible ID prefix (such as @ID:) in the term
+        if(term.indexOf(getIdPrefix()) == 0) {
+            term = term.substr(getIdPrefix().length);
         }
 
         // Return ID exact match or title exact match. Or null, if nothing found.
-        return (this.id === term) ? this : (titleFound) ? this : null;
+        return (this.ids.includes(term) || titleFound) ? this : null;
     }
 
     /**
@@ -277,6 +362,7 @@ class ZettlrFile
         // Last but not least: Retrieve all changed information by re-reading
         // the file again.
         this.read();
+        this.parent.getSearchIndex().update(this, cnt);
 
         return this;
     }
@@ -413,120 +499,6 @@ class ZettlrFile
         }
     }
 
-    /**
-     * Search the file's content and name according to the terms-object
-     * @param  {object} terms An object containing the search terms and properties
-     * @return {Boolean}       true if this file matches terms or false
-     */
-    search(terms)
-    {
-        let matches = 0;
-
-        // First match the title (faster results)
-        for(let t of terms) {
-            if(t.operator === 'AND') {
-                if(this.name.indexOf(t.word) > -1) {
-                    matches++;
-                }
-            } else {
-                // OR operator
-                for(let wd of t.word) {
-                    if(this.name.indexOf(wd) > -1) {
-                        matches++;
-                        // Break because only one match necessary
-                        break;
-                    }
-                }
-            }
-        }
-
-        // Return immediately with an object of line -1 (indicating filename) and a huge weight
-        if(matches == terms.length) { return [{line: -1, restext: this.name, 'weight': 2}]; }
-
-        // Do a full text search.
-        let cnt = this.read();
-        let cntLower = cnt.toLowerCase();
-
-        let lines = cnt.split('\n');
-        let linesLower = cntLower.split('\n');
-        matches = [];
-
-        for(let t of terms) {
-            if(t.operator === 'AND') {
-                for(let index in lines) {
-                    // Try both normal and lowercase
-                    if(lines[index].indexOf(t.word) > -1) {
-                        matches.push({
-                            'term': t.word,
-                            'from': {
-                                'line': parseInt(index),
-                                'ch': lines[index].indexOf(t.word)
-                            },
-                            'to': {
-                                'line': parseInt(index),
-                                'ch': lines[index].indexOf(t.word) + t.word.length
-                            },
-                            'weight': 1 // Weight indicates that this was an exact match
-                        });
-                    } else if(linesLower[index].indexOf(t.word) > -1) {
-                        matches.push({
-                            'term': t.word,
-                            'from': {
-                                'line': parseInt(index),
-                                'ch': linesLower[index].indexOf(t.word)
-                            },
-                            'to': {
-                                'line': parseInt(index),
-                                'ch': linesLower[index].indexOf(t.word) + t.word.length
-                            },
-                            'weight': 0.5 // Weight indicates that this was an approximate match
-                        });
-                    }
-                }
-            } else {
-                // OR operator.
-                for(let wd of t.word) {
-                    let br = false;
-                    for(let index in lines) {
-                        // Try both normal and lowercase
-                        if(lines[index].indexOf(wd) > -1) {
-                            matches.push({
-                                'term': wd,
-                                'from': {
-                                    'line': parseInt(index),
-                                    'ch': lines[index].indexOf(wd)
-                                },
-                                'to': {
-                                    'line': parseInt(index),
-                                    'ch': lines[index].indexOf(wd) + wd.length
-                                },
-                                'weight': 1 // Weight indicates that this was an exact match
-                            });
-                            br = true;
-                        } else if(linesLower[index].indexOf(wd) > -1) {
-                            matches.push({
-                                'term': wd,
-                                'from': {
-                                    'line': parseInt(index),
-                                    'ch': linesLower[index].indexOf(wd)
-                                },
-                                'to': {
-                                    'line': parseInt(index),
-                                    'ch': linesLower[index].indexOf(wd) + wd.length
-                                },
-                                'weight': 1 // Weight indicates that this was an exact match
-                            });
-                            br = true;
-                        }
-                    }
-                    if(br) break;
-                }
-            }
-        }
-
-        return matches;
-    }
-
     /**
      * Returns the hash of the file
      * @return {Number} The hash
@@ -12,8 +12,10 @@
  * END HEADER
  */
 
-const path = require('path');
-const fs   = require('fs');
+const path              = require('path');
+const fs                = require('fs');
+const {trans}           = require('../common/lang/i18n.js');
+const {parseSearchTerm} = require('../common/zettlr-helpers.js');
 
 const FILTER_MODES = [
     "contains",
@@ -21,9 +23,14 @@ const FILTER_MODES = [
     "has_tag" // Let me solve: h!
 ];
 
+const FILTER_COMBINATIONS = [ 'AND', 'OR' ];
+
 /**
- * This class manages filters for directories, i.e. dynamic searches.
- * TODO: Not yet implemented. It's only here to indicate I'm working on it.
+ * This class manages filters for directories, i.e. dynamic searches. Each
+ * filter has a name, a list of rules and a combination, which determines
+ * whether files have to match all of the rules (AND) or only one (OR). The
+ * filters are saved in the .ztr-filter file of the directory and displayed as
+ * smart directories (see ZettlrSmartDirectory).
  */
 class ZettlrFilter
 {
@@ -55,42 +62,123 @@ class ZettlrFilter
         return true;
     }
 
+    /**
+     * Returns all filters of the directory.
+     * @return {Array} An array of objects containing name, combine and rules.
+     */
+    getAll()
+    {
+        return this._filters;
+    }
+
+    /**
+     * Returns a filter by its name.
+     * @param  {String} name The name of the filter
+     * @return {Object}      The filter or undefined.
+     */
+    get(name)
+    {
+        return this._filters.find((fltr) => { return fltr.name == name; });
+    }
+
     /**
      * Adds a filter to the directory
      * @param {String} name  The (unique) name of the filter
      * @param {Object} rules An Array containing one or more filter rules.
+     * @param {String} [combine='AND'] Whether all (AND) or one of the rules (OR) must match
+     * @return {Object}      The new filter.
      */
-    add(name, rules)
+    add(name, rules, combine = 'AND')
     {
-        try {
-            let stat = fs.lstatSync(this._file)
-        } catch(e) {
-            // Explicitly create the file
-            this._write();
-        }
-
         if(typeof name != 'string') {
             throw new Error('Wrong type on add filter. Name must be string.');
         }
 
         if(!this._unique(name)) {
-            throw new Error('Name of the filter must be unique!');
+            throw new Error(trans('system.error.smart_dir_exists', name));
+        }
+
+        // Add the filters and immediately write to disk.
+        let fltr = { 'name': name, 'combine': 'AND', 'rules': [] };
+        this._set(fltr, rules, combine);
+        this._filters.push(fltr);
+        this._write();
+
+        return fltr;
+    }
+
+    /**
+     * Changes an existing filter.
+     * @param  {String} oldName        The current name of the filter
+     * @param  {String} name           The new name of the filter
+     * @param  {Array}  rules          An Array containing one or more filter rules.
+     * @param  {String} [combine='AND'] Whether all (AND) or one of the rules (OR) must match
+     * @return {Object}                The changed filter.
+     */
+    edit(oldName, name, rules, combine = 'AND')
+    {
+        let fltr = this.get(oldName);
+        if(!fltr) {
+            throw new Error(trans('system.error.smart_dir_not_found', oldName));
+        }
+
+        if(name.toLowerCase() != oldName.toLowerCase() && !this._unique(name)) {
+            throw new Error(trans('system.error.smart_dir_exists', name));
         }
 
+        this._set(fltr, rules, combine);
+        fltr.name = name;
+        this._write();
+
+        return fltr;
+    }
+
+    /**
+     * Removes a filter from the directory.
+     * @param  {String} name The name of the filter
+     */
+    remove(name)
+    {
+        let fltr = this.get(name);
+        if(fltr) {
+            this._filters.splice(this._filters.indexOf(fltr), 1);
+            this._write();
+        }
+    }
+
+    /**
+     * Validates the rules and sets them on a filter.
+     * @param {Object} fltr    The filter
+     * @param {Array}  rules   The rules
+     * @param {String} combine The combination
+     */
+    _set(fltr, rules, combine)
+    {
         // Rules have two attributes: "mode" and "content".
         // "mode" can be either:
         // - "contains" (will execute a normal search in the directory using "content")
         // - "filename_contains" (will sort using filenames which include "content")
         // - "has_tag" (only shows files containing a specific tag given in "content")
+        rules = rules.filter((rule) => {
+            return FILTER_MODES.includes(rule.mode) && rule.content.trim().length > 0;
+        });
+
+        if(rules.length == 0) {
+            throw new Error(trans('system.error.smart_dir_no_rules'));
+        }
+
         for(let rule of rules) {
-            if(!FILTER_MODES.includes(rule.mode) || rule.content.length == 0) {
-                rules.splice(rules.indexOf(rule), 1);
+            if(rule.mode == 'contains') {
+                try {
+                    parseSearchTerm(rule.content.trim());
+                } catch(e) {
+                    throw new Error(trans('gui.search_invalid_regex', e.message));
+                }
             }
         }
 
-        // Add the filters and immediately write to disk.
-        this._filters.push({ 'name': name, 'rules': rules });
-        this._write();
+        fltr.rules = rules.map((rule) => { return { 'mode': rule.mode, 'content': rule.content.trim() }; });
+        fltr.combine = (FILTER_COMBINATIONS.includes(combine)) ? combine : 'AND';
     }
 
     /**
@@ -118,6 +206,36 @@ class ZettlrFilter
 
         return true;
     }
+
+    /**
+     * Checks whether a file matches a filter.
+     * @param  {Object}     fltr The filter containing combine and rules
+     * @param  {ZettlrFile} file The file to be checked
+     * @return {Boolean}         True, if the file matches.
+     */
+    static test(fltr, file)
+    {
+        let matches = (rule) => {
+            let content = rule.content.toLowerCase();
+            switch(rule.mode) {
+                case 'contains':
+                    // Let the search index do the work, so that the file
+                    // doesn't have to be read.
+                    return file.parent.getSearchIndex().contains(file, rule.content);
+                case 'filename_contains':
+                    return file.name.toLowerCase().indexOf(content) > -1;
+                case 'has_tag':
+                    return file.tags.includes(content.replace(/^#/, ''));
+            }
+            return false;
+        };
+
+        if(fltr.combine == 'OR') {
+            return fltr.rules.some(matches);
+        }
+
+        return fltr.rules.every(matches);
+    }
 }
 
 module.exports = ZettlrFilter;
@@ -45,6 +45,12 @@ class ZettlrInterface
         return this._data;
     }
 
+    setData(data)
+    {
+        this._data = data;
+        return this;
+    }
+
     has(rowname)
     {
         return (this._data.find((elem) => { return (elem.name == rowname); }) != undefined);
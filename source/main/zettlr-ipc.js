@@ -104,7 +104,7 @@ class ZettlrIPC
         switch(cmd) {
             case 'get-paths':
             // The child process requested the current paths and files
-            this.send('paths-update', this._app.getPaths());
+            this._app.sendPaths();
             break;
 
             case 'file-get-quicklook':
@@ -150,7 +150,7 @@ class ZettlrIPC
             dir = this._app.findDir(cnt);
             if(dir) {
                 dir.makeProject();
-                this.send('paths-update', this._app.getPaths());
+                this._app.sendPaths();
             }
             break;
 
@@ -158,7 +158,7 @@ class ZettlrIPC
             dir = this._app.findDir(cnt);
             if(dir) {
                 dir.removeProject();
-                this.send('paths-update', this._app.getPaths());
+                this._app.sendPaths();
             }
             break;
 
@@ -174,6 +174,10 @@ class ZettlrIPC
             dir = this._app.findDir(cnt); // Contains a hash property
             if(dir) {
                 dir.getProject().update(cnt.properties);
+                // The bibliography of the open file may have changed
+                if(this._app.getCurrentFile()) {
+                    this._app.sendCitations(this._app.getCurrentFile().hash);
+                }
             }
             break;
 
@@ -222,14 +226,55 @@ class ZettlrIPC
             this._app.close(cnt);
             break;
 
-            case 'file-search':
-            // arg.content contains a hash of the file to be searched
-            // and the prepared terms.
-            let ret = this._app.findFile({ 'hash': cnt.hash }).search(cnt.terms);
-            this.send('file-search-result', {
-                'hash'  : cnt.hash,
-                'result': ret
-            });
+            case 'search':
+            // cnt contains the prepared terms and the hashes of all files to
+            // be searched.
+            this._app.search(cnt);
+            break;
+
+            // The renderer wants to know which files link to the current one
+            case 'get-backlinks':
+            this._app.sendBacklinks();
+            break;
+
+            // The command palette lists all menu commands
+            case 'get-commands':
+            this.send('commands', this._app.window.getMenu().getCommands());
+            break;
+
+            // The editor autocompletes citations from the bibliography of a file
+            case 'get-citations':
+            this._app.sendCitations(cnt);
+            break;
+
+            // The editor wants to preview the target of a link
+            case 'file-get-preview':
+            this._app.sendFilePreview(cnt);
+            break;
+
+            // The editor wants to display the contents of a transcluded file
+            case 'file-get-transclusion':
+            this._app.sendTransclusion(cnt);
+            break;
+
+            // Check a directory for broken links, duplicate IDs and orphans
+            case 'dir-check-links':
+            this._app.checkLinks(cnt);
+            break;
+
+            // Create or edit a smart directory
+            case 'dir-save-smart':
+            this._app.saveSmartDir(cnt);
+            break;
+
+            // Find and replace within a directory: first the preview, then
+            // the selected replacements
+            case 'dir-replace-preview':
+            this._app.previewReplace(cnt);
+            break;
+
+            case 'dir-replace-apply':
+            this._app.replaceInDir(cnt);
             break;
 
             // Force-open is basically a search and immediate return.
@@ -240,6 +285,24 @@ class ZettlrIPC
             }
             break;
 
+            // The user has clicked an internal link
+            case 'open-link':
+            if(cnt.trim().length == 0) {
+                break; // Anchors inside the current file are handled by the renderer.
+            }
+            let target = this._app.findExact(cnt);
+            if(target != null) {
+                // If only the term without its anchor matched, tell the
+                // renderer to jump to the anchor once the file is opened.
+                if(target.findExact(cnt, false) == null) {
+                    this.send('link-resolved', { 'hash': target.hash, 'term': cnt });
+                }
+                this._app.sendFile(target.hash);
+            } else {
+                this._app.newFileFromLink(cnt);
+            }
+            break;
+
             // Change theme in config
             case 'toggle-theme':
             this._app.getConfig().set('darkTheme', !this._app.getConfig().get('darkTheme'));
@@ -254,6 +317,10 @@ class ZettlrIPC
             this._app.exportFile(cnt);
             break;
 
+            case 'export-cancel':
+            this._app.cancelExports();
+            break;
+
             // Rename a directory (arg.hash + arg.(new)name)
             case 'dir-rename':
             this._app.renameDir(cnt);
@@ -304,7 +371,24 @@ class ZettlrIPC
             if(cnt.hasOwnProperty('combinerState') && cnt.combinerState != this._app.getConfig().get('combinerState')) {
                 this.send('config', { 'key': 'combinerState', 'value': cnt.combinerState});
             }
+            if(cnt.hasOwnProperty('linkPreference') && cnt.linkPreference != this._app.getConfig().get('linkPreference')) {
+                this.send('config', { 'key': 'linkPreference', 'value': cnt.linkPreference});
+            }
+            // The IDs of all files have to be parsed again with a new prefix
+            let reread = cnt.hasOwnProperty('zkn') && cnt.zkn.idPrefix != this._app.getConfig().get('zkn').idPrefix;
+            if(cnt.hasOwnProperty('zkn') && JSON.stringify(cnt.zkn) != JSON.stringify(this._app.getConfig().get('zkn'))) {
+                this.send('config', { 'key': 'zkn', 'value': cnt.zkn});
+            }
+            if(cnt.hasOwnProperty('exportProfiles')) {
+                this.send('config', { 'key': 'exportProfiles', 'value': cnt.exportProfiles});
+            }
             this._app.getConfig().update(cnt);
+            if(reread) {
+                this._app.rereadFiles();
+            }
+            if(cnt.hasOwnProperty('citations') && this._app.getCurrentFile()) {
+                this._app.sendCitations(this._app.getCurrentFile().hash);
+            }
             break;
 
             case 'update-tags':
@@ -0,0 +1,359 @@
+/**
+ * @ignore
+ * BEGIN HEADER
+ *
+ * Contains:        ZettlrLinkIndex class
+ * CVM-Role:        Model
+ * Maintainer:      Hendrik Erz
+ * License:         GNU GPL v3
+ *
+ * Description:     Keeps a persistent index of all internal links between the
+ *                  files to be able to tell which notes link to a given file.
+ *
+ * END HEADER
+ */
+
+const path                      = require('path');
+const {app}                     = require('electron');
+const ZettlrInterface           = require('./zettlr-interface.js');
+const {flattenFiles,
+    getIdPrefix,
+    parseLink,
+    splitCode,
+    replaceReferences,
+    parseReference}             = require('../common/zettlr-helpers.js');
+
+// Matches all internal links in the format of [[Link]]
+const LINK_RE = /\[\[(.+?)\]\]/g;
+// Rows that have been indexed by an older version are indexed again
+const INDEX_VERSION = 2;
+
+/**
+ * Is the path p equal to dir or does it lie inside of it?
+ * @param  {String} p   The path
+ * @param  {String} dir The directory
+ * @return {Boolean}    True, if p lies inside dir.
+ */
+function isInside(p, dir)
+{
+    return p == dir || p.indexOf(dir + path.sep) == 0;
+}
+
+/**
+ * The link index holds the outgoing links of every file that is currently
+ * loaded into the app. It is saved into the userData directory, so that on
+ * start only those files have to be re-read whose modification time has
+ * changed since the last run. The targets of the links are stored as they
+ * appear in the files and are resolved through findExact() on demand, because
+ * a link to a title may change its target as soon as files are renamed.
+ */
+class ZettlrLinkIndex
+{
+    /**
+     * Create the index and load an existing index file.
+     * @param {Zettlr} parent The main zettlr object.
+     */
+    constructor(parent)
+    {
+        this._app = parent;
+        // Each row of the database has the form { name: <path>, modtime: <Number>, links: [], refs: [] }.
+        // The refs contain the absolute paths the references of the file point to.
+        this._db = new ZettlrInterface(path.join(app.getPath('userData'), 'links.json'));
+    }
+
+    /**
+     * Brings the index in line with the currently loaded files. Only files that
+     * have been modified since they were last indexed are read again.
+     * @return {ZettlrLinkIndex} This for chainability.
+     */
+    sync()
+    {
+        let files = this._app.getAllFiles();
+        let paths = files.map((f) => { return f.path; });
+
+        // Remove all files that are no longer present
+        for(let row of this._db.getData().slice()) {
+            if(!paths.includes(row.name)) {
+                this._db.set(row.name, null);
+            }
+        }
+
+        // (Re-)Index all new and modified files
+        for(let file of files) {
+            let row = this._db.get(file.path);
+            if(!row || row.modtime != file.modtime || row.version != INDEX_VERSION) {
+                this.update(file);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Re-indexes the outgoing links of a single file.
+     * @param  {ZettlrFile} file      The file to be indexed
+     * @param  {String} [cnt=null]    The file contents, if already at hand
+     * @return {ZettlrLinkIndex}      This for chainability.
+     */
+    update(file, cnt = null)
+    {
+        if(!file) {
+            return this;
+        }
+
+        if(cnt == null) {
+            cnt = file.read();
+        }
+
+        this._db.set(file.path, {
+            'name': file.path,
+            'modtime': file.modtime,
+            'version': INDEX_VERSION,
+            'links': ZettlrLinkIndex.parse(cnt),
+            'refs': ZettlrLinkIndex.parseReferences(cnt, path.dirname(file.path))
+        });
+
+        return this;
+    }
+
+    /**
+     * Removes a file or all files inside a directory from the index.
+     * @param  {String} p The path of the removed file or directory
+     * @return {ZettlrLinkIndex}   This for chainability.
+     */
+    remove(p)
+    {
+        for(let row of this._db.getData().slice()) {
+            if(isInside(row.name, p)) {
+                this._db.set(row.name, null);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Returns all files that contain at least one link resolving to file.
+     * @param  {ZettlrFile} file The file for which to retrieve the backlinks
+     * @return {Array}      An array containing the linking ZettlrFile objects.
+     */
+    getBacklinks(file)
+    {
+        let ret = [];
+        if(!file) {
+            return ret;
+        }
+
+        for(let row of this._db.getData()) {
+            if(row.name == file.path) {
+                continue; // Links to itself are no backlinks.
+            }
+
+            for(let link of row.links) {
+                // First test against the file itself, which is cheap, and only
+                // then make sure that the link does not resolve to another
+                // file with the same title.
+                if(file.findExact(link) == null || this._app.findExact(link) !== file) {
+                    continue;
+                }
+
+                let source = this._app.findFile({ 'path': row.name });
+                if(source != null) {
+                    ret.push(source);
+                }
+                break;
+            }
+        }
+
+        return ret.sort((a, b) => {
+            return a.name.toLowerCase().localeCompare(b.name.toLowerCase());
+        });
+    }
+
+    /**
+     * Returns the files whose links or references may have been broken by
+     * moving a file or directory: files containing references into the moved
+     * path, the moved files that contain references and, on renames, the files
+     * linking to the old title.
+     * @param  {String} oldPath         The path before the move
+     * @param  {String} newPath         The path after the move
+     * @param  {String} [oldTitle=null] If a file was renamed, its old name without extension
+     * @return {Array}                  An array containing the ZettlrFile objects.
+     */
+    getAffectedFiles(oldPath, newPath, oldTitle = null)
+    {
+        let title = (oldTitle != null) ? oldTitle.toLowerCase() : null;
+        let ret = [];
+        for(let row of this._db.getData()) {
+            let refs = row.refs || [];
+            let affected = (isInside(row.name, newPath) && refs.length > 0) ||
+                refs.some((ref) => { return isInside(ref, oldPath); }) ||
+                (title != null && row.links.some((link) => { return parseLink(link).target.toLowerCase() == title; }));
+            if(!affected) {
+                continue;
+            }
+
+            let file = this._app.findFile({ 'path': row.name });
+            if(file != null) {
+                ret.push(file);
+            }
+        }
+
+        return ret;
+    }
+
+    /**
+     * Checks all files within a directory for links that can't be resolved,
+     * IDs that are used by more than one file and files that are not linked to
+     * by any other file. All line numbers are zero-based.
+     * @param  {ZettlrDir} dir The directory to be checked
+     * @return {Object}     An object containing the arrays broken, duplicates and orphans.
+     */
+    check(dir)
+    {
+        let report = { 'broken': [], 'duplicates': [], 'orphans': [] };
+        let files = flattenFiles(dir);
+
+        let ids = {};
+        for(let file of files) {
+            let cnt = file.read();
+            let line = 0; // The line on which the current part begins
+            for(let part of splitCode(cnt)) {
+                let lines = part.text.split('\n');
+                for(let i = 0; i < lines.length && !part.code; i++) {
+                    let match;
+                    LINK_RE.lastIndex = 0;
+                    while((match = LINK_RE.exec(lines[i])) != null) {
+                        let link = match[1].trim();
+                        if(link.length > 0 && this._app.findExact(link) == null) {
+                            report.broken.push({ 'hash': file.hash, 'name': file.name, 'line': line + i, 'text': link });
+                        }
+                    }
+                }
+                line += lines.length - 1;
+            }
+
+            // Every ID of a file resolves links to it (see ZettlrFile.findExact)
+            for(let id of file.ids) {
+                if(!ids.hasOwnProperty(id)) {
+                    ids[id] = [];
+                }
+                ids[id].push({ 'hash': file.hash, 'name': file.name, 'line': ZettlrLinkIndex.findIdLine(cnt, id), 'text': id });
+            }
+        }
+
+        for(let id in ids) {
+            if(ids[id].length > 1) {
+                report.duplicates = report.duplicates.concat(ids[id]);
+            }
+        }
+
+        // Resolve every link in the index only once to find all linked files
+        let linked = [];
+        for(let row of this._db.getData()) {
+            for(let link of row.links) {
+                let target = this._app.findExact(link);
+                if(target != null && target.path != row.name && !linked.includes(target)) {
+                    linked.push(target);
+                }
+            }
+        }
+
+        for(let file of files) {
+            if(!linked.includes(file)) {
+                report.orphans.push({ 'hash': file.hash, 'name': file.name, 'line': 0, 'text': file.id || '' });
+            }
+        }
+
+        return report;
+    }
+
+    /**
+     * Writes the index to disk.
+     */
+    save()
+    {
+        this._db.flush();
+    }
+
+    /**
+     * Extracts all link targets from a given text. Links inside code are
+     * ignored.
+     * @param  {String} cnt The text to be parsed
+     * @return {Array}     An array containing all unique link targets.
+     */
+    static parse(cnt)
+    {
+        let links = [];
+        let match;
+
+        for(let part of splitCode(cnt)) {
+            if(part.code) {
+                continue;
+            }
+
+            LINK_RE.lastIndex = 0;
+            while((match = LINK_RE.exec(part.text)) != null) {
+                let link = match[1].trim();
+                if(link.length > 0 && !links.includes(link)) {
+                    links.push(link);
+                }
+            }
+        }
+
+        return links;
+    }
+
+    /**
+     * Extracts the paths that the references of a text point to. References
+     * inside code and references to external targets are ignored.
+     * @param  {String} cnt The text to be parsed
+     * @param  {String} dir The directory of the file, against which relative references are resolved
+     * @return {Array}      An array containing all unique absolute paths.
+     */
+    static parseReferences(cnt, dir)
+    {
+        let refs = [];
+        for(let part of splitCode(cnt)) {
+            if(part.code) {
+                continue;
+            }
+
+            replaceReferences(part.text, (target) => {
+                let ref = parseReference(target, dir);
+                if(ref != null && !refs.includes(ref.path)) {
+                    refs.push(ref.path);
+                }
+                return target;
+            });
+        }
+
+        return refs;
+    }
+
+    /**
+     * Returns the line on which an ID is defined, i.e. the first occurrence
+     * that is not enclosed in a link. IDs without prefix are looked up in the
+     * front matter.
+     * @param  {String} cnt The text to be searched
+     * @param  {String} id  The ID to be found
+     * @return {Number}     The zero-based line number.
+     */
+    static findIdLine(cnt, id)
+    {
+        let needle = getIdPrefix() + id;
+        let index = cnt.indexOf(needle);
+        while(index > 1 && cnt.substr(index - 2, 2) == '[[') {
+            index = cnt.indexOf(needle, index + 1);
+        }
+
+        if(index < 0) {
+            let match = /^id:/m.exec(cnt);
+            return (match) ? cnt.substr(0, match.index).split('\n').length - 1 : 0;
+        }
+
+        return cnt.substr(0, index).split('\n').length - 1;
+    }
+}
+
+module.exports = ZettlrLinkIndex;
@@ -0,0 +1,182 @@
+/**
+ * @ignore
+ * BEGIN HEADER
+ *
+ * Contains:        ZettlrLinkRewriter class
+ * CVM-Role:        Controller
+ * Maintainer:      Hendrik Erz
+ * License:         GNU GPL v3
+ *
+ * Description:     Rewrites internal links and relative references after a
+ *                  file or a directory has been renamed or moved.
+ *
+ * END HEADER
+ */
+
+const fs                        = require('fs');
+const path                      = require('path');
+const {app}                     = require('electron');
+const {parseLink,
+    splitCode,
+    replaceReferences,
+    parseReference}             = require('../common/zettlr-helpers.js');
+
+// Matches [[Link]]
+const LINK_RE = /\[\[(.+?)\]\]/g;
+
+/**
+ * Replaces the prefix "from" of a path with "to", if the path lies inside
+ * "from" (or is equal to it).
+ * @param  {String} p    The path to be mapped
+ * @param  {String} from The old path
+ * @param  {String} to   The new path
+ * @return {String}      The mapped path
+ */
+function mapPath(p, from, to)
+{
+    if(p == from) {
+        return to;
+    } else if(p.indexOf(from + path.sep) == 0) {
+        return to + p.substr(from.length);
+    }
+
+    return p;
+}
+
+/**
+ * After a file or directory has been renamed or moved, this class searches all
+ * open files for links that no longer point to the correct target and rewrites
+ * them. These are [[Title]] links to a renamed file, references to the moved
+ * paths from within other files and the relative references of the moved files
+ * themselves. Links and references inside code are left untouched. Only the
+ * files that the link index lists as affected are read. Before the files are
+ * overwritten, their contents are backed up.
+ */
+class ZettlrLinkRewriter
+{
+    /**
+     * Create the rewriter.
+     * @param {Zettlr} parent The main zettlr object.
+     */
+    constructor(parent)
+    {
+        this._app = parent;
+    }
+
+    /**
+     * Computes the changes necessary after a move. This function must be called
+     * _after_ the file or directory has been moved.
+     * @param  {String} oldPath         The path of the file or directory before the move
+     * @param  {String} newPath         The current path of the file or directory
+     * @param  {String} [oldTitle=null] On file renames the old name without extension
+     * @param  {String} [newTitle=null] On file renames the new name without extension
+     * @return {Array}                 An array of objects containing file, original and content.
+     */
+    plan(oldPath, newPath, oldTitle = null, newTitle = null)
+    {
+        let changes = [];
+        let renamed = (oldTitle != null && newTitle != null && oldTitle.toLowerCase() != newTitle.toLowerCase());
+
+        for(let file of this._app.getLinkIndex().getAffectedFiles(oldPath, newPath, (renamed) ? oldTitle : null)) {
+            let original = file.read();
+            // Where did the file reside before the move?
+            let formerDir = path.dirname(mapPath(file.path, newPath, oldPath));
+            let currentDir = path.dirname(file.path);
+
+            let content = splitCode(original).map((part) => {
+                if(part.code) {
+                    return part.text;
+                }
+
+                let text = replaceReferences(part.text, (target) => {
+                    return this._rewriteTarget(target, formerDir, currentDir, oldPath, newPath);
+                });
+
+                if(!renamed) {
+                    return text;
+                }
+
+                return text.replace(LINK_RE, (match, link) => {
+                    // Only rewrite links that don't resolve to any file anymore
+                    let target = parseLink(link).target;
+                    if(target.toLowerCase() == oldTitle.toLowerCase() && this._app.findExact(target) == null) {
+                        // Keep anchors to headings or blocks
+                        return `[[${newTitle}${link.trim().substr(target.length)}]]`;
+                    }
+                    return match;
+                });
+            }).join('');
+
+            if(content != original) {
+                changes.push({ 'file': file, 'original': original, 'content': content });
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Backs up all affected files and writes the new contents.
+     * @param  {Array} changes The changes as returned by plan()
+     * @return {String}         The directory containing the backups
+     */
+    apply(changes)
+    {
+        let backupDir = path.join(app.getPath('userData'), 'backups');
+        try {
+            fs.lstatSync(backupDir);
+        } catch(e) {
+            fs.mkdirSync(backupDir);
+        }
+
+        backupDir = path.join(backupDir, new Date().toISOString().replace(/[:.]/g, '-'));
+        fs.mkdirSync(backupDir);
+
+        let index = [];
+        for(let change of changes) {
+            let backup = path.join(backupDir, change.file.hash + '-' + change.file.name);
+            fs.writeFileSync(backup, change.original, { encoding: 'utf8' });
+            index.push({ 'original': change.file.path, 'backup': backup });
+
+            // Don't let the watchdog report our own changes as remote changes
+            this._app.getWatchdog().ignoreNext('change', change.file.path);
+            change.file.save(change.content);
+            this._app.getLinkIndex().update(change.file, change.content);
+        }
+
+        fs.writeFileSync(path.join(backupDir, 'index.json'), JSON.stringify(index), { encoding: 'utf8' });
+
+        return backupDir;
+    }
+
+    /**
+     * Computes the new target of a reference.
+     * @param  {String} target     The target as written in the file
+     * @param  {String} formerDir  The directory the file resided in before the move
+     * @param  {String} currentDir The directory the file resides in now
+     * @param  {String} oldPath    The moved path before the move
+     * @param  {String} newPath    The moved path after the move
+     * @return {String}            The new (or the unchanged) target
+     */
+    _rewriteTarget(target, formerDir, currentDir, oldPath, newPath)
+    {
+        let ref = parseReference(target, formerDir);
+        if(ref == null) {
+            return target; // External links and anchors are not affected
+        }
+
+        let current = mapPath(ref.path, oldPath, newPath);
+        if(current == ref.path && (ref.absolute || formerDir == currentDir)) {
+            return target; // The reference is still valid.
+        }
+
+        let ret = (ref.absolute) ? current : path.relative(currentDir, current).split(path.sep).join('/');
+        if(ref.encoded) {
+            ret = encodeURI(ret);
+        }
+
+        return ret + ref.fragment;
+    }
+}
+
+module.exports = ZettlrLinkRewriter;
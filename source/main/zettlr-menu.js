@@ -17,6 +17,16 @@ const electron = require('electron');
 const app = electron.app
 const {trans} = require('../common/lang/i18n.js');
 
+/**
+ * Sends the command of a menu item to the renderer.
+ * @param  {MenuItem}      item          The clicked menu item containing a command
+ * @param  {BrowserWindow} focusedWindow The currently focused window
+ */
+function sendCommand(item, focusedWindow)
+{
+    if(focusedWindow) focusedWindow.webContents.send('message', { 'command': item.command });
+}
+
 /**
  * This class is of little use. It simply creates the application main menu.
  * The fact that this logic is contained in a class only is used because the
@@ -39,71 +49,59 @@ class ZettlrMenu
                     {
                         label: trans('menu.new_file'),
                         accelerator: 'CmdOrCtrl+N',
-                        click (item, focusedWindow) {
-                            // Trigger new file in current directory
-                            if(focusedWindow) focusedWindow.webContents.send('message', { 'command': 'file-new'});
-                        }
+                        command: 'file-new',
+                        click: sendCommand
                     },
                     {
                         label: trans('menu.new_dir'),
                         accelerator: 'CmdOrCtrl+Shift+N',
-                        click (item, focusedWindow) {
-                            // Trigger new folder in current directory
-                            if(focusedWindow) focusedWindow.webContents.send('message', { 'command': 'dir-new'});
-                        }
+                        command: 'dir-new',
+                        click: sendCommand
                     },
                     { type: 'separator' },
                     {
                         label: trans('menu.open'),
                         accelerator: 'CmdOrCtrl+O',
-                        click (item, focusedWindow) {
-                            // Trigger open folder action
-                            if(focusedWindow) focusedWindow.webContents.send('message', { 'command': 'dir-open'});
-                        }
+                        command: 'dir-open',
+                        click: sendCommand
                     },
                     {
                         label: trans('menu.save'),
                         accelerator: 'CmdOrCtrl+S',
-                        click (item, focusedWindow) {
-                            if(focusedWindow) focusedWindow.webContents.send('message', { 'command': 'file-save'});
-                        }
+                        command: 'file-save',
+                        click: sendCommand
                     },
                     { type: 'separator' },
                     {
                         label: trans('menu.export'),
                         accelerator: 'CmdOrCtrl+E',
-                        click (item, focusedWindow) {
-                            if(focusedWindow) focusedWindow.webContents.send('message', { 'command': 'export'});
-                        }
+                        command: 'export',
+                        click: sendCommand
                     },
                     { type: 'separator' },
                     {
                         label: trans('menu.rename_file'),
                         accelerator: 'CmdOrCtrl+R',
-                        click (item, focusedWindow) {
-                            if(focusedWindow) focusedWindow.webContents.send('message', { 'command': 'file-rename'});
-                        }
+                        command: 'file-rename',
+                        click: sendCommand
                     },
                     {
                         label: trans('menu.rename_dir'),
                         accelerator: 'CmdOrCtrl+Shift+R',
-                        click (item, focusedWindow) {
-                            if(focusedWindow) focusedWindow.webContents.send('message', { 'command': 'dir-rename'});
-                        }
+                        command: 'dir-rename',
+                        click: sendCommand
                     },
                     { type: 'separator' },
                     {
                         label: trans('menu.delete_file'),
                         accelerator: (process.platform === 'darwin') ? 'Cmd+Backspace': 'Delete',
-                        click (item, focusedWindow) {
-                            if(focusedWindow) focusedWindow.webContents.send('message', { 'command': 'file-delete'});
-                        }
+                        command: 'file-delete',
+                        click: sendCommand
                     }, {
                         label: trans('menu.delete_dir'),
                         accelerator: (process.platform === 'darwin') ? 'Cmd+Shift+Backspace': 'Ctrl+Delete',
-                        click(item, focusedWindow) {
-                            if(focusedWindow) focusedWindow.webContents.send('message', { 'command': 'dir-delete'});
-                        }
+                        command: 'dir-delete',
+                        click: sendCommand
                     }
                 ]
             },
@@ -121,16 +119,26 @@ class ZettlrMenu
                     {
                         label: trans('menu.find_file'),
                         accelerator: 'CmdOrCtrl+F',
-                        click(item, focusedWindow) {
-                            if(focusedWindow) focusedWindow.webContents.send('message', { 'command': 'file-find'});
-                        }
+                        command: 'file-find',
+                        click: sendCommand
                     },
                     {
                         label: trans('menu.find_dir'),
                         accelerator: 'CmdOrCtrl+Shift+F',
-                        click(item, focusedWindow) {
-                            if(focusedWindow) focusedWindow.webContents.send('message', { 'command': 'dir-find'});
-                        }
+                        command: 'dir-find',
+                        click: sendCommand
+                    },
+                    {
+                        label: trans('menu.go_to_file'),
+                        accelerator: 'CmdOrCtrl+P',
+                        command: 'go-to-file',
+                        click: sendCommand
+                    },
+                    {
+                        label: trans('menu.command_palette'),
+                        accelerator: 'CmdOrCtrl+Shift+P',
+                        command: 'command-palette',
+                        click: sendCommand
                     },
                     {
                         type: 'separator'
@@ -138,9 +146,8 @@ class ZettlrMenu
                     {
                         label: trans('menu.generate_id'),
                         accelerator: 'CmdOrCtrl+L',
-                        click(item, focusedWindow) {
-                            if(focusedWindow) focusedWindow.webContents.send('message', { 'command': 'insert-id'});
-                        }
+                        command: 'insert-id',
+                        click: sendCommand
                     }
                 ]
             },
@@ -152,71 +159,74 @@ class ZettlrMenu
                         accelerator: 'CmdOrCtrl+Alt+L',
                         type: 'checkbox',
                         checked : this._window.getApp().getConfig().get('darkTheme'),
-                        click(item, focusedWindow) {
-                            if (focusedWindow) focusedWindow.webContents.send('message', { 'command': 'toggle-theme'});
-                        }
+                        command: 'toggle-theme',
+                        click: sendCommand
                     },
                     {
                         label: trans('menu.toggle_snippets'),
                         accelerator: 'CmdOrCtrl+Alt+S',
                         type: 'checkbox',
                         checked: this._window.getApp().getConfig().get('snippets'),
-                        click(item, focusedWindow) {
-                            if (focusedWindow) focusedWindow.webContents.send('message', { 'command': 'toggle-snippets'});
-                        }
+                        command: 'toggle-snippets',
+                        click: sendCommand
                     },
                     {
                         label: trans('menu.toggle_distraction_free'),
                         accelerator: 'CmdOrCtrl+J',
                         type: 'checkbox',
                         checked: false,
-                        click(item, focusedWindow) {
-                            if (focusedWindow) focusedWindow.webContents.send('message', { 'command': 'toggle-distraction-free'});
-                        }
+                        command: 'toggle-distraction-free',
+                        click: sendCommand
                     },
                     { type: 'separator' },
                     {
                         label: trans('menu.toggle_directories'),
                         accelerator: 'CmdOrCtrl+1',
-                        click(item, focusedWindow) {
-                            if (focusedWindow) focusedWindow.webContents.send('message', { 'command': 'toggle-directories'});
-                        }
+                        command: 'toggle-directories',
+                        click: sendCommand
                     },
                     {
                         label: trans('menu.toggle_preview'),
                         accelerator: 'CmdOrCtrl+2',
-                        click(item, focusedWindow) {
-                            if (focusedWindow) focusedWindow.webContents.send('message', { 'command': 'toggle-preview'});
-                        }
+                        command: 'toggle-preview',
+                        click: sendCommand
                     },
                     {
                         label: trans('menu.toggle_attachments'),
                         accelerator: 'CmdOrCtrl+3',
-                        click(item, focusedWindow) {
-                            if (focusedWindow) focusedWindow.webContents.send('message', { 'command': 'toggle-attachments'});
-                        }
+                        command: 'toggle-attachments',
+                        click: sendCommand
+                    },
+                    {
+                        label: trans('menu.toggle_backlinks'),
+                        accelerator: 'CmdOrCtrl+4',
+                        command: 'toggle-backlinks',
+                        click: sendCommand
+                    },
+                    {
+                        label: trans('menu.toggle_graph'),
+                        accelerator: 'CmdOrCtrl+5',
+                        command: 'toggle-graph',
+                        click: sendCommand
                     },
                     { type: 'separator' },
                     {
                         label: trans('menu.reset_zoom'),
                         accelerator: 'CmdOrCtrl+0',
-                        click(item, focusedWindow) {
-                            if (focusedWindow) focusedWindow.webContents.send('message', { 'command': 'zoom-reset' });
-                        }
+                        command: 'zoom-reset',
+                        click: sendCommand
                     },
                     {
                         label: trans('menu.zoom_in'),
                         accelerator: 'CmdOrCtrl+Plus',
-                        click(item, focusedWindow) {
-                            if (focusedWindow) focusedWindow.webContents.send('message', { 'command': 'zoom-in' });
-                        }
+                        command: 'zoom-in',
+                        click: sendCommand
                     },
                     {
                         label: trans('menu.zoom_out'),
                         accelerator: 'CmdOrCtrl+-',
-                        click(item, focusedWindow) {
-                            if (focusedWindow) focusedWindow.webContents.send('message', { 'command': 'zoom-out' });
-                        }
+                        command: 'zoom-out',
+                        click: sendCommand
                     },
                     { type: 'separator' },
                     { label: trans('menu.toggle_fullscreen'), role: 'togglefullscreen' }
@@ -236,9 +246,8 @@ class ZettlrMenu
                 submenu: [
                     {
                         label: trans('menu.about'),
-                        click (item, focusedWindow) {
-                            if (focusedWindow) focusedWindow.webContents.send('message', { 'command': 'display-about' });
-                        }
+                        command: 'display-about',
+                        click: sendCommand
                     },
                     {
                         label: trans('menu.learn_more'),
@@ -259,9 +268,8 @@ class ZettlrMenu
                     },
                     {
                         label: trans('menu.update'),
-                        click(item, focusedWindow) {
-                            if (focusedWindow) focusedWindow.webContents.send('message', { 'command': 'update-check' });
-                        }
+                        command: 'update-check',
+                        click: sendCommand
                     }
                 ]
             }
@@ -298,20 +306,17 @@ class ZettlrMenu
             },{
                 label: trans('menu.preferences'),
                 accelerator: 'Ctrl+,',
-                click (item, focusedWindow) {
-                    if(focusedWindow) focusedWindow.webContents.send('message', {'command': 'open-preferences'});
-                }
+                command: 'open-preferences',
+                click: sendCommand
             },{
                 label: trans('menu.pdf_preferences'),
                 accelerator: 'Ctrl+Alt+,',
-                click (item, focusedWindow) {
-                    if(focusedWindow) focusedWindow.webContents.send('message', {'command': 'open-pdf-preferences'});
-                }
+                command: 'open-pdf-preferences',
+                click: sendCommand
             }, {
                 label: trans('menu.tags'),
-                click (item, focusedWindow) {
-                    if(focusedWindow) focusedWindow.webContents.send('message', {'command': 'open-tags-preferences'});
-                }
+                command: 'open-tags-preferences',
+                click: sendCommand
             },
             { type: 'separator' },
             { accelerator: 'Ctrl+Q', label: trans('menu.quit'), role: 'quit' });
@@ -326,20 +331,17 @@ class ZettlrMenu
                     {
                         label: trans('menu.preferences'),
                         accelerator: 'Cmd+,',
-                        click (item, focusedWindow) {
-                            if(focusedWindow) focusedWindow.webContents.send('message', {'command': 'open-preferences'});
-                        }
+                        command: 'open-preferences',
+                        click: sendCommand
                     },{
                         label: trans('menu.pdf_preferences'),
                         accelerator: 'Cmd+Alt+,',
-                        click (item, focusedWindow) {
-                            if(focusedWindow) focusedWindow.webContents.send('message', {'command': 'open-pdf-preferences'});
-                        }
+                        command: 'open-pdf-preferences',
+                        click: sendCommand
                     }, {
                         label: trans('menu.tags'),
-                        click (item, focusedWindow) {
-                            if(focusedWindow) focusedWindow.webContents.send('message', {'command': 'open-tags-preferences'});
-                        }
+                        command: 'open-tags-preferences',
+                        click: sendCommand
                     },
                     { type: 'separator' },
                     { label: trans('menu.services'), role: 'services', submenu: [] },
@@ -383,6 +385,32 @@ class ZettlrMenu
         // Set menu
         Menu.setApplicationMenu(Menu.buildFromTemplate(this.template));
     }
+
+    /**
+     * Returns all menu items that send a command to the renderer.
+     * @return {Array} An array of objects containing label, accelerator and command.
+     */
+    getCommands()
+    {
+        let commands = [];
+        let walk = (items) => {
+            for(let item of items) {
+                if(item.hasOwnProperty('command')) {
+                    commands.push({
+                        'label': item.label,
+                        'accelerator': item.accelerator || '',
+                        'command': item.command
+                    });
+                }
+                if(Array.isArray(item.submenu)) {
+                    walk(item.submenu);
+                }
+            }
+        };
+
+        walk(this.template);
+        return commands;
+    }
 }
 
 module.exports = ZettlrMenu;
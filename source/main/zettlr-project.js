@@ -21,6 +21,7 @@ const path                      = require('path');
 const ZettlrExport              = require('./zettlr-export.js');
 const sanitize                  = require('sanitize-filename');
 const { flattenDirectoryTree }  = require('../common/zettlr-helpers.js');
+const {trans}                   = require('../common/lang/i18n.js');
 
 const PROJECT_FILE = '.ztr-project';
 
@@ -49,6 +50,14 @@ class ZettlrProject
                 "tocDepth": 2, // Default: evaluate until level 2
                 "titlepage": true // Generate a title page by default
             },
+            // Empty values fall back to the preferences. Relative paths are
+            // resolved against the project directory.
+            "citations": {
+                "bibliography": '', // A BibTeX or CSL-JSON file
+                "csl": '' // A CSL style
+            },
+            "format": 'pdf', // The format of the build, see ZettlrExport
+            "profile": '', // The name of an export profile, which takes precedence over the format
             "title": this._dir.name // Default project title is the directory's name
         };
         this._cfg = null;
@@ -62,7 +71,7 @@ class ZettlrProject
         this._cfg = this._cfgtpl;
         try {
             let stat = fs.lstatSync(this._projectFile);
-            this.update(fs.readFileSync(this._projectFile, 'utf8'));
+            this.update(JSON.parse(fs.readFileSync(this._projectFile, 'utf8')));
         } catch(e) {
             this.save(); // Simply create the file
         }
@@ -92,7 +101,10 @@ class ZettlrProject
         // Concat the files
         let contents = [];
         for(let file of files) {
-            contents.push(file.read());
+            // Add identifiers so that links to headings and blocks can be
+            // turned into cross-references. The metadata of the single files
+            // is replaced by the project settings.
+            contents.push(ZettlrExport.anchor(ZettlrExport.stripFrontMatter(file.read()), file));
         }
 
         // Make one string
@@ -105,27 +117,49 @@ class ZettlrProject
             'read': () => { return contents; }
         };
 
+        // The root's parent is the app, which resolves transclusions across all
+        // open paths.
+        let root = this._dir;
+        while(!root.isRoot()) {
+            root = root.parent;
+        }
+
+        let citations = root.parent.getCitationSettings(this._dir);
+        // The options of the other formats are the same for all documents.
+        let config = root.parent.getConfig();
+        let profile = null;
+        if(this._cfg.profile) {
+            profile = root.parent.getExportProfile(this._cfg.profile);
+            if(profile == null) {
+                root.parent.notify(trans('system.error.profile_not_found', this._cfg.profile));
+                return;
+            }
+        }
+
         // Start up the Exporter
         let opt = {
-            'format': 'pdf',      // Which format: "html", "docx", "odt", "pdf"
+            'format': this._cfg.format, // Which format: "html", "docx", "odt", "pdf", "epub", "tex", "revealjs", "txt"
             'file': tempfile,           // The file to be exported
             'dest': this._dir.path, // On project exports, always dir path
             'stripIDs': true,
             'stripTags': true,
             'stripLinks': 'full',
+            'findExact': (term) => { return root.parent.findExact(term); },
+            'members': files,
             'pdf': this._cfg.pdf,
+            'epub': config.get('epub'),
+            'latex': config.get('latex'),
+            'revealjs': config.get('revealjs'),
+            'text': config.get('text'),
+            'profile': profile,
+            'bibliography': citations.bibliography,
+            'csl': citations.csl,
             'title': this._cfg.title,
             'author': this._cfg.pdf.author,
             'keywords': this._cfg.pdf.keywords
         };
 
-        try {
-            new ZettlrExport(opt); // TODO don't do this with instantiation
-        } catch(err) {
-            throw err;
-            // console.log(err.name + ': ' + err.message);
-            // this.notify(err.name + ': ' + err.message); // Error may be thrown
-        }
+        root.parent.runExport(opt);
     }
 
     /**
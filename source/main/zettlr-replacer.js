@@ -0,0 +1,161 @@
+/**
+ * @ignore
+ * BEGIN HEADER
+ *
+ * Contains:        ZettlrReplacer class
+ * CVM-Role:        Controller
+ * Maintainer:      Hendrik Erz
+ * License:         GNU GPL v3
+ *
+ * Description:     Finds and replaces text in all files of a directory.
+ *
+ * END HEADER
+ */
+
+const {flattenFiles,
+    hash,
+    parseSearchTerm,
+    isWholeWord,
+    expandReplacement}          = require('../common/zettlr-helpers.js');
+
+// How many characters around a match are displayed in the preview
+const CONTEXT_LENGTH = 40;
+
+/**
+ * The replacer works in two steps: First, plan() searches all files within a
+ * directory and returns every match together with its context and its
+ * replacement, so that the user can review them. The plan is retained, and
+ * apply() then replaces the matches the user has selected. Files that have
+ * been changed in the meantime are skipped, as the positions of the matches
+ * may no longer be correct.
+ */
+class ZettlrReplacer
+{
+    /**
+     * Create the replacer.
+     * @param {Zettlr} parent The main zettlr object.
+     */
+    constructor(parent)
+    {
+        this._app = parent;
+        this._plan = [];
+    }
+
+    /**
+     * Searches all files within a directory. Invalid regular expressions
+     * throw a SyntaxError.
+     * @param  {ZettlrDir} dir          The directory to be searched
+     * @param  {String}    search       The term to be searched for, may be a /regular expression/
+     * @param  {String}    replace      The replacement, may contain $& and $1 to $9
+     * @param  {Object}    [options={}] May contain caseSensitive and wholeWord
+     * @return {Array}                  An array of objects containing hash, name and matches.
+     */
+    plan(dir, search, replace, options = {})
+    {
+        let term = parseSearchTerm(search, options.caseSensitive);
+        let files = flattenFiles(dir);
+
+        this._plan = [];
+        for(let file of files) {
+            let cnt = file.read();
+            let matches = ZettlrReplacer.findMatches(cnt, term, replace, options.wholeWord);
+            if(matches.length > 0) {
+                this._plan.push({ 'file': file, 'checksum': hash(cnt), 'matches': matches });
+            }
+        }
+
+        return this._plan.map((p) => {
+            return { 'hash': p.file.hash, 'name': p.file.name, 'matches': p.matches };
+        });
+    }
+
+    /**
+     * Replaces the selected matches of the last plan.
+     * @param  {Object} selection Maps the hashes of the files onto the indices of the selected matches
+     * @return {Object}           An object containing the arrays changed and skipped (files with hash, name and line).
+     */
+    apply(selection)
+    {
+        let report = { 'changed': [], 'skipped': [] };
+
+        for(let p of this._plan) {
+            let indices = selection[p.file.hash];
+            if(!Array.isArray(indices) || indices.length == 0) {
+                continue;
+            }
+
+            let cnt = p.file.read();
+            // Never overwrite changes that happened after the preview, be it
+            // on disk or in the editor.
+            if(hash(cnt) != p.checksum || (p.file === this._app.getCurrentFile() && this._app.isModified())) {
+                report.skipped.push({ 'hash': p.file.hash, 'name': p.file.name, 'line': 0 });
+                continue;
+            }
+
+            let lines = cnt.split('\n');
+            // Replace from the end, so that the positions of the remaining
+            // matches on the same line stay valid.
+            let selected = p.matches.filter((m, i) => { return indices.includes(i); });
+            for(let m of selected.reverse()) {
+                let line = lines[m.line];
+                lines[m.line] = line.substr(0, m.ch) + m.replacement + line.substr(m.ch + m.length);
+            }
+
+            cnt = lines.join('\n');
+            // Don't let the watchdog report our own changes as remote changes
+            this._app.getWatchdog().ignoreNext('change', p.file.path);
+            p.file.save(cnt);
+            this._app.getLinkIndex().update(p.file, cnt);
+            report.changed.push({ 'hash': p.file.hash, 'name': p.file.name, 'line': selected[selected.length - 1].line, 'count': selected.length });
+        }
+
+        this._plan = [];
+        return report;
+    }
+
+    /**
+     * Finds all matches of a search term inside a text. Matches never span
+     * several lines.
+     * @param  {String}  cnt       The text to be searched
+     * @param  {Object}  term      The term as returned by parseSearchTerm()
+     * @param  {String}  replace   The replacement as entered by the user
+     * @param  {Boolean} wholeWord Whether only whole words should match
+     * @return {Array}             An array of objects containing line, ch, length, before, text, after and replacement.
+     */
+    static findMatches(cnt, term, replace, wholeWord)
+    {
+        let ret = [];
+        let lines = cnt.split('\n');
+        for(let i = 0; i < lines.length; i++) {
+            let line = lines[i];
+            let match;
+            term.regex.lastIndex = 0;
+            while((match = term.regex.exec(line)) != null) {
+                if(match[0].length == 0) {
+                    // Don't get stuck on empty matches such as /^/
+                    term.regex.lastIndex++;
+                    continue;
+                }
+
+                let end = match.index + match[0].length;
+                if(wholeWord && !isWholeWord(line, match.index, end)) {
+                    continue;
+                }
+
+                ret.push({
+                    'line': i,
+                    'ch': match.index,
+                    'length': match[0].length,
+                    'before': line.substring(Math.max(0, match.index - CONTEXT_LENGTH), match.index),
+                    'text': match[0],
+                    'after': line.substr(end, CONTEXT_LENGTH),
+                    'replacement': expandReplacement(replace, match, term.literal)
+                });
+            }
+        }
+
+        return ret;
+    }
+}
+
+module.exports = ZettlrReplacer;
@@ -0,0 +1,743 @@
+/**
+ * @ignore
+ * BEGIN HEADER
+ *
+ * Contains:        ZettlrSearchIndex class
+ * CVM-Role:        Model
+ * Maintainer:      Hendrik Erz
+ * License:         GNU GPL v3
+ *
+ * Description:     Keeps a persistent full-text index of all files to answer
+ *                  search queries without reading the files from disk.
+ *
+ * END HEADER
+ */
+
+const path                      = require('path');
+const fs                        = require('fs');
+const {app}                     = require('electron');
+const ZettlrInterface           = require('./zettlr-interface.js');
+const {parseSearchTerm,
+    isWholeWord,
+    foldText,
+    editDistance,
+    getIdPrefix,
+    parseDateFilter}            = require('../common/zettlr-helpers.js');
+
+// Splits lines into tokens. Punctuation is kept, as terms are matched as
+// substrings of the tokens anyway.
+const TOKEN_RE = /\S+/g;
+// Rows that have been indexed by another version are indexed again
+const INDEX_VERSION = 2;
+// How many characters around a hit are sent to the preview list
+const CONTEXT_LENGTH = 40;
+// How long changes to the index are collected before it is written to disk
+const SAVE_DELAY = 5000;
+// The part of a token that is compared when tolerating typos
+const WORD_RE = /[0-9A-Za-z\u00C0-\u024F\u0300-\u036F]+(?:['’-][0-9A-Za-z\u00C0-\u024F\u0300-\u036F]+)*/;
+
+/**
+ * Reads the contents of a file without re-parsing the file itself.
+ * @param  {String} p The path of the file
+ * @return {String}   The contents, or an empty string if the file can't be read.
+ */
+function readFile(p)
+{
+    try {
+        return fs.readFileSync(p, { encoding: 'utf8' });
+    } catch(e) {
+        return '';
+    }
+}
+
+/**
+ * The search index stores the tokens of every file that is loaded into the
+ * app. It is saved into the userData directory, so that on start only those
+ * files have to be re-indexed whose modification time has changed since the
+ * last run. From these rows the index builds an inverted index in memory,
+ * which maps every token to the files containing it. Every word of a query is
+ * matched against the tokens (and not the files) only once, which yields the
+ * files containing it, so that only the files actually containing all terms
+ * have to be read. The index is kept up to date by the app, which calls
+ * sync(), update() and remove() whenever files change.
+ */
+class ZettlrSearchIndex
+{
+    /**
+     * Create the index and load an existing index file.
+     * @param {Zettlr} parent The main zettlr object.
+     */
+    constructor(parent)
+    {
+        this._app = parent;
+        // Each row of the database has the form
+        // { name: <path>, modtime: <Number>, version: <Number>, tokens: [] }
+        this._db = new ZettlrInterface(path.join(app.getPath('userData'), 'search.json'));
+        this._rows = null;      // Maps paths onto rows, built on demand
+        this._inverted = null;  // Maps tokens onto paths, built on demand
+        this._cache = null;     // The tokens matching the words of a query, see _resolve()
+        this._modified = false; // Whether there are changes that haven't been saved yet
+        this._saveTimeout = null;
+    }
+
+    /**
+     * Brings the index in line with the currently loaded files. Only files that
+     * have been modified since they were last indexed are read again.
+     * @return {ZettlrSearchIndex} This for chainability.
+     */
+    sync()
+    {
+        let files = this._app.getAllFiles();
+        let rows = this._getRows();
+        let paths = new Set();
+
+        for(let file of files) {
+            paths.add(file.path);
+            if(!rows.has(file.path) || rows.get(file.path).modtime != file.modtime) {
+                this.update(file);
+            }
+        }
+
+        // Remove all files that are no longer present
+        for(let p of Array.from(rows.keys())) {
+            if(!paths.has(p)) {
+                this.remove(p);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Re-indexes a single file.
+     * @param  {ZettlrFile} file      The file to be indexed
+     * @param  {String} [cnt=null]    The file contents, if already at hand
+     * @return {ZettlrSearchIndex}    This for chainability.
+     */
+    update(file, cnt = null)
+    {
+        if(!file) {
+            return this;
+        }
+
+        if(cnt == null) {
+            cnt = readFile(file.path);
+        }
+
+        let row = {
+            'name': file.path,
+            'modtime': file.modtime,
+            'version': INDEX_VERSION,
+            'tokens': ZettlrSearchIndex.tokenize(cnt)
+        };
+
+        let rows = this._getRows();
+        if(rows.has(file.path)) {
+            this._removeTokens(rows.get(file.path));
+        }
+        rows.set(file.path, row);
+        this._addTokens(row);
+        this._changed();
+
+        return this;
+    }
+
+    /**
+     * Removes a file or all files inside a directory from the index.
+     * @param  {String} p The path of the removed file or directory
+     * @return {ZettlrSearchIndex} This for chainability.
+     */
+    remove(p)
+    {
+        let rows = this._getRows();
+        for(let [ name, row ] of Array.from(rows)) {
+            if(name == p || name.indexOf(p + path.sep) == 0) {
+                this._removeTokens(row);
+                rows.delete(name);
+                this._changed();
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Searches the given files. The terms have the form the preview list
+     * produces: Objects containing an operator (AND or OR) and a word (a
+     * string, or an array of strings for OR). Words in the form of
+     * /pattern/flags are regular expressions. The filters are grouped by OR,
+     * and files that don't pass a filter of each group are skipped. Files are only searched if each term appears in
+     * their name or in the index of their contents. If there are only
+     * filters, every remaining file is a result.
+     * @param  {Array}  terms        The search terms
+     * @param  {Array}  hashes       The hashes of the files to be searched
+     * @param  {Object} [options={}] May contain caseSensitive, wholeWord and fuzzy
+     * @param  {Array}  [filters=[]] Arrays of objects containing field, value and negate
+     * @return {Array}               An array of objects containing hash and result, the best matches first.
+     */
+    search(terms, hashes, options = {}, filters = [])
+    {
+        // Start each query with an empty cache, so that it doesn't grow forever.
+        this._cache = null;
+        let candidates = terms.map((t) => {
+            let words = (t.operator === 'AND') ? [ t.word ] : t.word;
+            return this._findCandidates(words, options);
+        });
+
+        let results = [];
+        for(let h of hashes) {
+            let file = this._app.findFile({ 'hash': h });
+            if(file == null || !filters.every((group) => { return group.some((f) => { return this._passFilter(file, f, options); }); })) {
+                continue;
+            }
+
+            // Skip files that don't contain all terms, unless a term matches the name.
+            if(!terms.every((t, i) => { return candidates[i] == null || candidates[i].has(file.path) || this._matchName(file, t, options); })) {
+                continue;
+            }
+
+            let result = (terms.length > 0) ? this._searchFile(file, terms, options) : [{ 'line': -1, 'restext': file.name, 'weight': 1 }];
+            if(result.length > 0) {
+                this._addContext(file, result);
+                let weight = 0;
+                for(let r of result) {
+                    weight += r.weight;
+                }
+                results.push({ 'hash': h, 'result': result, 'weight': weight });
+            }
+        }
+
+        return results.sort((a, b) => { return b.weight - a.weight; });
+    }
+
+    /**
+     * Adds the text around each hit of a file, so that the preview list can
+     * display the matching lines.
+     * @param {ZettlrFile} file   The file
+     * @param {Array}      result The hits as returned by _searchFile()
+     */
+    _addContext(file, result)
+    {
+        let hits = result.filter((r) => { return r.from; });
+        if(hits.length == 0) {
+            return; // Only the file name matched
+        }
+
+        let lines = readFile(file.path).split('\n');
+        for(let r of hits) {
+            let line = lines[r.from.line] || '';
+            r.before = line.substring(Math.max(0, r.from.ch - CONTEXT_LENGTH), r.from.ch);
+            r.text = line.substring(r.from.ch, r.to.ch);
+            r.after = line.substr(r.to.ch, CONTEXT_LENGTH);
+        }
+    }
+
+    /**
+     * Checks whether a single file contains a word.
+     * @param  {ZettlrFile} file The file to be checked
+     * @param  {String}     word The word, phrase or regular expression
+     * @return {Boolean}         True, if the file contains the word.
+     */
+    contains(file, word)
+    {
+        if(!this._getRows().has(file.path)) {
+            this.update(file);
+        }
+
+        return this._matchWord(file, word, {}, 1, 1).length > 0;
+    }
+
+    /**
+     * Writes the index to disk, if it has been changed.
+     */
+    save()
+    {
+        clearTimeout(this._saveTimeout);
+        this._saveTimeout = null;
+        if(!this._modified) {
+            return;
+        }
+
+        this._db.setData(Array.from(this._getRows().values()));
+        this._db.flush();
+        this._modified = false;
+    }
+
+    /**
+     * Invalidates the cached query results and schedules saving the index.
+     * All changes that happen in the meantime are written at once.
+     */
+    _changed()
+    {
+        this._cache = null;
+        this._modified = true;
+        if(this._saveTimeout == null) {
+            this._saveTimeout = setTimeout(() => { this.save(); }, SAVE_DELAY);
+        }
+    }
+
+    /**
+     * Checks whether the name of a file matches a search term.
+     * @param  {ZettlrFile} file    The file
+     * @param  {Object}     term    The term containing operator and word
+     * @param  {Object}     options May contain caseSensitive and wholeWord
+     * @return {Boolean}            True, if the name matches.
+     */
+    _matchName(file, term, options)
+    {
+        let words = (term.operator === 'AND') ? [ term.word ] : term.word;
+        return words.find((wd) => { return ZettlrSearchIndex.matchText(file.name, wd, options).length > 0; }) !== undefined;
+    }
+
+    /**
+     * Returns the paths of all files that may contain one of the given words.
+     * Phrases may only be contained by files containing all of their parts.
+     * @param  {Array}  words   The words, phrases or regular expressions
+     * @param  {Object} options May contain fuzzy
+     * @return {Set}            The paths, or null if any file may contain a word (e.g. a regular expression).
+     */
+    _findCandidates(words, options)
+    {
+        let candidates = new Set();
+        for(let word of words) {
+            let parts = word.toLowerCase().split(/\s+/).filter((p) => { return p.length > 0; });
+            if(!parseSearchTerm(word).literal || parts.length == 0) {
+                return null;
+            }
+
+            // Intersect the files containing the parts of a phrase ...
+            let paths = Array.from(this._resolve(parts[0]).keys());
+            if(options.fuzzy && parts.length == 1) {
+                paths = paths.concat(Array.from(this._resolveSimilar(parts[0]).keys()));
+            }
+            for(let p of parts.slice(1)) {
+                let resolved = this._resolve(p);
+                paths = paths.filter((path) => { return resolved.has(path); });
+            }
+
+            // ... and unite those of all alternatives.
+            for(let p of paths) {
+                candidates.add(p);
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Searches a single file.
+     * @param  {ZettlrFile} file    The file to be searched
+     * @param  {Array}      terms   The search terms
+     * @param  {Object}     options May contain caseSensitive and wholeWord
+     * @return {Array}              An array of all matches.
+     */
+    _searchFile(file, terms, options)
+    {
+        // First match the title (faster results). Return immediately with an
+        // object of line -1 (indicating filename) and a huge weight.
+        if(terms.every((t) => { return this._matchName(file, t, options); })) {
+            return [{ 'line': -1, 'restext': file.name, 'weight': 2 }];
+        }
+
+        let result = [];
+        for(let t of terms) {
+            if(t.operator === 'AND') {
+                result = result.concat(this._matchWord(file, t.word, options, 1, 0.5));
+            } else {
+                // OR operator: Only the first word that matches counts.
+                for(let wd of t.word) {
+                    let res = this._matchWord(file, wd, options, 1, 1);
+                    if(res.length > 0) {
+                        result = result.concat(res);
+                        break;
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Checks whether a file passes a filter. Filters whose value is invalid
+     * are never passed, even if they are negated.
+     * @param  {ZettlrFile} file    The file to be checked
+     * @param  {Object}     filter  The filter containing field, value and negate
+     * @param  {Object}     options May contain caseSensitive and wholeWord
+     * @return {Boolean}            True, if the file passes.
+     */
+    _passFilter(file, filter, options)
+    {
+        if(filter.field == 'modified' && parseDateFilter(filter.value) == null) {
+            return false;
+        }
+
+        return this._matchFilter(file, filter, options) != filter.negate;
+    }
+
+    /**
+     * Checks whether a file matches a filter, regardless of its negation.
+     * @param  {ZettlrFile} file    The file to be checked
+     * @param  {Object}     filter  The filter containing field and value
+     * @param  {Object}     options May contain caseSensitive and wholeWord
+     * @return {Boolean}            True, if the file matches.
+     */
+    _matchFilter(file, filter, options)
+    {
+        let value = filter.value;
+        switch(filter.field) {
+            case 'tag':
+                return file.tags.includes(value.replace(/^#/, '').toLowerCase());
+            case 'id':
+                // The IDs of a file are stored without the prefix
+                if(value.indexOf(getIdPrefix()) == 0) {
+                    value = value.substr(getIdPrefix().length);
+                }
+                return file.ids.includes(value);
+            case 'title':
+                return ZettlrSearchIndex.matchText(file.name, value, options).length > 0;
+            case 'modified':
+                let range = parseDateFilter(value);
+                return file.modtime >= range.from && file.modtime < range.to;
+            case 'dir':
+                // The file may reside anywhere below the given directory
+                for(let dir = file.parent; dir && dir.type == 'directory'; dir = dir.parent) {
+                    if(dir.name.toLowerCase() == value.toLowerCase()) {
+                        return true;
+                    }
+                }
+                return false;
+            case 'text':
+                return ZettlrSearchIndex.matchText(file.name, value, options).length > 0 ||
+                    this._matchWord(file, value, options, 1, 1).length > 0;
+        }
+
+        return false;
+    }
+
+    /**
+     * Returns the best match of a word on every line of a file. Exact matches
+     * are preferred over case- or accent-insensitive ones, which in turn are
+     * preferred over words that merely look similar (if options.fuzzy is set).
+     * @param  {ZettlrFile} file         The file
+     * @param  {String}     word         The word, phrase or regular expression to be matched
+     * @param  {Object}     options      May contain caseSensitive, wholeWord and fuzzy
+     * @param  {Number}     exactWeight  The weight of an exact match
+     * @param  {Number}     approxWeight The weight of a case- or accent-insensitive match
+     * @return {Array}                   An array of matches, one per line at most.
+     */
+    _matchWord(file, word, options, exactWeight, approxWeight)
+    {
+        let found = {}; // Line => { ch, length, exact, weight }
+        let add = (line, m) => {
+            // The weight of similar words decreases with every typo
+            m.weight = (m.exact) ? exactWeight : approxWeight / (1 + (m.distance || 0));
+            let prev = found[line];
+            if(!prev || m.weight > prev.weight || (m.weight == prev.weight &&
+                ((m.exact && !prev.exact) || (m.exact == prev.exact && m.ch < prev.ch)))) {
+                found[line] = m;
+            }
+        };
+
+        let literal = parseSearchTerm(word).literal;
+        let parts = word.toLowerCase().split(/\s+/).filter((p) => { return p.length > 0; });
+
+        if(literal && parts.length == 1) {
+            // A single word is only matched against those tokens of the file
+            // that the index has found to contain it.
+            let matches = new Map();
+            for(let token of this._resolve(parts[0]).get(file.path) || []) {
+                let inToken = ZettlrSearchIndex.matchText(token, word, options);
+                if(inToken.length > 0) {
+                    matches.set(token, inToken.map((m) => { return { 'ch': m.ch, 'length': m.length, 'exact': m.exact }; }));
+                }
+            }
+
+            if(options.fuzzy) {
+                for(let similar of this._resolveSimilar(parts[0]).get(file.path) || []) {
+                    if(!matches.has(similar.token)) {
+                        matches.set(similar.token, []);
+                    }
+                    matches.get(similar.token).push({ 'ch': similar.ch, 'length': similar.length, 'exact': false, 'distance': similar.distance });
+                }
+            }
+
+            if(matches.size == 0) {
+                return [];
+            }
+
+            let lines = readFile(file.path).split('\n');
+            for(let i = 0; i < lines.length; i++) {
+                let match;
+                TOKEN_RE.lastIndex = 0;
+                while((match = TOKEN_RE.exec(lines[i])) != null) {
+                    for(let m of matches.get(match[0]) || []) {
+                        add(i, Object.assign({}, m, { 'ch': match.index + m.ch }));
+                    }
+                }
+            }
+        } else {
+            // Phrases may span several tokens, and regular expressions can
+            // match anything, so the file has to be scanned. Thanks to the
+            // index this only happens for phrases whose parts all appear in
+            // the file.
+            if(literal && parts.find((p) => { return !this._resolve(p).has(file.path); }) !== undefined) {
+                return [];
+            }
+
+            let lines = readFile(file.path).split('\n');
+            for(let i = 0; i < lines.length; i++) {
+                for(let m of ZettlrSearchIndex.matchText(lines[i], word, options)) {
+                    add(i, m);
+                }
+            }
+        }
+
+        let ret = [];
+        for(let line of Object.keys(found).map((l) => { return parseInt(l); }).sort((a, b) => { return a - b; })) {
+            ret.push({
+                'term': word,
+                'from': { 'line': line, 'ch': found[line].ch },
+                'to': { 'line': line, 'ch': found[line].ch + found[line].length },
+                'weight': found[line].weight
+            });
+        }
+
+        return ret;
+    }
+
+    /**
+     * Returns all tokens that contain a (lowercase) string, regardless of
+     * diacritics, grouped by the files containing them. The vocabulary is only
+     * searched once for every string until the index changes.
+     * @param  {String} str The string to be found
+     * @return {Map}        A map of paths onto arrays of tokens.
+     */
+    _resolve(str)
+    {
+        let cache = this._getCache();
+        if(!cache.tokens.has(str)) {
+            let needle = foldText(str).text;
+            let found = new Map();
+            for(let [ token, paths ] of this._getInverted()) {
+                if(foldText(token.toLowerCase()).text.indexOf(needle) < 0) {
+                    continue;
+                }
+
+                for(let p of paths) {
+                    if(!found.has(p)) {
+                        found.set(p, []);
+                    }
+                    found.get(p).push(token);
+                }
+            }
+            cache.tokens.set(str, found);
+        }
+
+        return cache.tokens.get(str);
+    }
+
+    /**
+     * Returns all tokens containing a word that differs from a (lowercase)
+     * string by a few typos, grouped by the files containing them. The longer
+     * the string, the more typos are tolerated. Words that equal the string
+     * are not returned, as _resolve() already finds them.
+     * @param  {String} str The string to be found
+     * @return {Map}        A map of paths onto arrays of objects containing token, ch and length of the word inside the token, and distance.
+     */
+    _resolveSimilar(str)
+    {
+        let cache = this._getCache();
+        if(!cache.similar.has(str)) {
+            let needle = foldText(str).text;
+            let max = ZettlrSearchIndex.maxTypos(needle.length);
+            let found = new Map();
+            for(let [ token, paths ] of this._getInverted()) {
+                let match = (max > 0) ? WORD_RE.exec(token) : null;
+                if(match == null) {
+                    continue;
+                }
+
+                let distance = editDistance(needle, foldText(match[0].toLowerCase()).text, max);
+                if(distance == 0 || distance > max) {
+                    continue;
+                }
+
+                for(let p of paths) {
+                    if(!found.has(p)) {
+                        found.set(p, []);
+                    }
+                    found.get(p).push({ 'token': token, 'ch': match.index, 'length': match[0].length, 'distance': distance });
+                }
+            }
+            cache.similar.set(str, found);
+        }
+
+        return cache.similar.get(str);
+    }
+
+    /**
+     * Returns the cache of _resolve() and _resolveSimilar().
+     * @return {Object} An object containing the maps tokens and similar.
+     */
+    _getCache()
+    {
+        if(this._cache == null) {
+            this._cache = { 'tokens': new Map(), 'similar': new Map() };
+        }
+
+        return this._cache;
+    }
+
+    /**
+     * Returns the rows of the database mapped onto their paths. Rows of
+     * another version are dropped, so that sync() indexes their files again.
+     * @return {Map} The rows
+     */
+    _getRows()
+    {
+        if(this._rows == null) {
+            this._rows = new Map();
+            for(let row of this._db.getData()) {
+                if(row != null && row.version == INDEX_VERSION) {
+                    this._rows.set(row.name, row);
+                }
+            }
+        }
+
+        return this._rows;
+    }
+
+    /**
+     * Returns the inverted index, which maps every token onto the paths of
+     * the files containing it.
+     * @return {Map} A map of tokens onto sets of paths.
+     */
+    _getInverted()
+    {
+        if(this._inverted == null) {
+            this._inverted = new Map();
+            for(let row of this._getRows().values()) {
+                this._addTokens(row);
+            }
+        }
+
+        return this._inverted;
+    }
+
+    /**
+     * Adds the tokens of a row to the inverted index, if it has been built.
+     * @param {Object} row The row
+     */
+    _addTokens(row)
+    {
+        if(this._inverted == null) {
+            return;
+        }
+
+        for(let token of row.tokens) {
+            if(!this._inverted.has(token)) {
+                this._inverted.set(token, new Set());
+            }
+            this._inverted.get(token).add(row.name);
+        }
+    }
+
+    /**
+     * Removes the tokens of a row from the inverted index, if it has been built.
+     * @param {Object} row The row
+     */
+    _removeTokens(row)
+    {
+        if(this._inverted == null) {
+            return;
+        }
+
+        for(let token of row.tokens) {
+            let paths = this._inverted.get(token);
+            if(paths) {
+                paths.delete(row.name);
+                if(paths.size == 0) {
+                    this._inverted.delete(token);
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns how many typos are tolerated in a word, depending on its length.
+     * @param  {Number} length The length of the word
+     * @return {Number}        The maximum edit distance.
+     */
+    static maxTypos(length)
+    {
+        if(length < 4) {
+            return 0; // Too many short words are only one typo apart
+        }
+
+        return (length < 8) ? 1 : 2;
+    }
+
+    /**
+     * Finds all occurrences of a word inside a text. Unless the case has to
+     * match, literal words are matched regardless of diacritics, too.
+     * @param  {String} text    The text to be searched
+     * @param  {String} word    The word, phrase or regular expression
+     * @param  {Object} options May contain caseSensitive and wholeWord
+     * @return {Array}          An array of objects containing ch, length and exact.
+     */
+    static matchText(text, word, options)
+    {
+        let term = parseSearchTerm(word, options.caseSensitive);
+        let literal = term.literal;
+        let folded = { 'text': text, 'from': null, 'to': null };
+        if(literal && !options.caseSensitive) {
+            folded = foldText(text);
+            term = parseSearchTerm(foldText(word).text);
+        }
+
+        let ret = [];
+        let match;
+
+        while((match = term.regex.exec(folded.text)) != null) {
+            if(match[0].length == 0) {
+                // Don't get stuck on empty matches such as /^/
+                term.regex.lastIndex++;
+                continue;
+            }
+
+            // Map the match back onto the original text
+            let from = match.index;
+            let to = match.index + match[0].length;
+            if(folded.from) {
+                from = folded.from[from];
+                to = folded.to[to - 1];
+            }
+
+            if(options.wholeWord && !isWholeWord(text, from, to)) {
+                continue;
+            }
+
+            ret.push({
+                'ch': from,
+                'length': to - from,
+                // Literal words are weighted higher if case and diacritics match as well
+                'exact': !literal || text.substring(from, to).normalize() === word.normalize()
+            });
+        }
+
+        return ret;
+    }
+
+    /**
+     * Splits a text into tokens.
+     * @param  {String} cnt The text
+     * @return {Array}      An array containing every token once.
+     */
+    static tokenize(cnt)
+    {
+        return Array.from(new Set(cnt.match(TOKEN_RE) || []));
+    }
+}
+
+module.exports = ZettlrSearchIndex;
@@ -0,0 +1,298 @@
+/**
+ * @ignore
+ * BEGIN HEADER
+ *
+ * Contains:        ZettlrSmartDirectory
+ * CVM-Role:        Model
+ * Maintainer:      Hendrik Erz
+ * License:         GNU GPL v3
+ *
+ * Description:     Creates a smart directory (a saved search)
+ *
+ *                  How it works:
+ *                  1. Always holds a pointer to its "real" directory
+ *                  2. Its children are all files within the real directory
+ *                     that match the rules of its filter
+ *                  3. The children are recomputed on every update()
+ *
+ * END HEADER
+ */
+
+const path          = require('path');
+const ZettlrFilter  = require('./zettlr-filter.js');
+const {trans}       = require('../common/lang/i18n.js');
+
+// Include helpers
+const { hash, sort, flattenFiles } = require('../common/zettlr-helpers.js');
+
+const ALLOW_SORTS = ['name-up', 'name-down', 'time-up', 'time-down'];
+
+/**
+ * Displays the files matching a filter of a directory (see ZettlrFilter) like
+ * a virtual directory. In contrast to virtual directories, files can't be added
+ * or removed manually, because the filter determines the children.
+ */
+class ZettlrSmartDirectory
+{
+    /**
+     * Create the smart directory.
+     * @param {ZettlrDir}    dir   The containing directory
+     * @param {Object}       fltr  The filter containing name, combine and rules
+     * @param {ZettlrFilter} model The filter model of the containing directory
+     */
+    constructor(dir, fltr, model)
+    {
+        this.parent         = dir;
+        this.path           = path.join(dir.path, '.ztr-filter');
+        this.name           = fltr.name;
+        this.hash           = hash(this.path + this.name); // Path is the same for all smart dirs, therefore include name!
+        this.combine        = fltr.combine || 'AND';
+        this.rules          = fltr.rules;
+        this.children       = [];
+        this.attachments    = [];
+        this.type           = 'smart-directory';
+        this.sorting        = 'name-up';
+        this._model         = model;
+        // The children are computed by update(), as soon as the files are indexed.
+    }
+
+    /**
+     * Smart directories don't need to save anything on shutdown.
+     */
+    shutdown() { }
+
+    /**
+     * Events are handled by the real directories, which contain the files.
+     * @param  {String} p The path for which the event was thrown
+     * @param  {String} e The event itself
+     */
+    handleEvent(p, e) { }
+
+    /**
+     * Recomputes the children.
+     * @param  {ZettlrFile} [file=null] If given, only this file is checked again.
+     * @return {Boolean} True, if the children have changed.
+     */
+    update(file = null)
+    {
+        let fltr = { 'combine': this.combine, 'rules': this.rules };
+        if(file != null) {
+            let matches = file.path.indexOf(this.parent.path + path.sep) == 0 && ZettlrFilter.test(fltr, file);
+            if(matches == this.children.includes(file)) {
+                return false;
+            }
+
+            let nChildren = (matches) ? this.children.concat(file) : this.children.filter((f) => { return f !== file; });
+            this.children = sort(nChildren, this.sorting);
+            return true;
+        }
+
+        let nChildren = flattenFiles(this.parent).filter((f) => { return ZettlrFilter.test(fltr, f); });
+        let children = new Set(this.children);
+        let changed = (nChildren.length != this.children.length || nChildren.some((f) => { return !children.has(f); }));
+        this.children = sort(nChildren, this.sorting);
+
+        return changed;
+    }
+
+    /**
+     * Changes the name and the rules of the underlying filter.
+     * @param  {String} name    The new name
+     * @param  {Array}  rules   The new rules
+     * @param  {String} combine Either AND or OR
+     * @return {ZettlrSmartDirectory} This for chainability.
+     */
+    setFilter(name, rules, combine)
+    {
+        let fltr = this._model.edit(this.name, name, rules, combine);
+        this.name = fltr.name;
+        this.combine = fltr.combine;
+        this.rules = fltr.rules;
+        this.hash = hash(this.path + this.name);
+        this.parent.sort();
+        this.update();
+
+        return this;
+    }
+
+    /**
+     * Returns the smart directory instance or null.
+     * @param  {Object} obj An object containing a hash.
+     * @return {Mixed}     Either this or null.
+     */
+    findDir(obj)
+    {
+        // Return this, if hashes match
+        if(obj.hasOwnProperty('hash') && obj.hash == this.hash) {
+            return this;
+        }
+
+        return null;
+    }
+
+    /**
+     * Returns a file from within this smart directory.
+     * @param  {Object} obj An object containing either a path or a hash property.
+     * @return {Mixed}     A ZettlrFile or null.
+     */
+    findFile(obj)
+    {
+        for(let c of this.children) {
+            let file = c.findFile(obj);
+            if(file != null) {
+                return file;
+            }
+        }
+
+        return null;
+    }
+
+    findExact(term, anchors = true)
+    {
+        for(let c of this.children) {
+            let file = c.findExact(term, anchors);
+            if(file != null) {
+                return file;
+            }
+        }
+
+        return null;
+    }
+
+    get(hash)
+    {
+        for(let c of this.children) {
+            let cnt = c.get(hash);
+            if(cnt != null) {
+                return cnt;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Removes this smart directory together with its filter. Files can't be
+     * removed, as the filter determines the children.
+     * @param  {Mixed} [obj=this] The object to be removed
+     * @return {Boolean}          Whether or not the operation completed successfully.
+     */
+    remove(obj = this)
+    {
+        if(obj !== this) {
+            return false;
+        }
+
+        this.detach();
+        return true;
+    }
+
+    /**
+     * Renames the smart directory. Smart directories can't be moved.
+     * @param  {String} newpath     Ignored
+     * @param  {String} [name=null] The new name
+     * @return {ZettlrSmartDirectory} This for chainability.
+     */
+    move(newpath, name = null)
+    {
+        if(!name) {
+            return this;
+        }
+
+        return this.setFilter(name, this.rules, this.combine);
+    }
+
+    /**
+     * Files can't be added manually to smart directories.
+     * @param  {ZettlrFile} newchild The file
+     * @return {ZettlrSmartDirectory} This for chainability.
+     */
+    attach(newchild)
+    {
+        this.parent.notifyChange(trans('system.error.smart_dir_attach', this.name));
+        return this;
+    }
+
+    detach()
+    {
+        this.parent.remove(this);
+        this._model.remove(this.name);
+        this.parent = null;
+        return this;
+    }
+
+    toggleSorting(type = 'name-up')
+    {
+        if(ALLOW_SORTS.includes(type)) {
+            this.sorting = type;
+        } else if(type.indexOf('name') > -1) {
+            this.sorting = (this.sorting == 'name-up') ? 'name-down' : 'name-up';
+        } else if(type.indexOf('time') > -1) {
+            this.sorting = (this.sorting == 'time-up') ? 'time-down' : 'time-up';
+        } else {
+            this.sorting = 'name-up';
+        }
+
+        this.children = sort(this.children, this.sorting);
+        return this;
+    }
+
+    exists(p)
+    {
+        // Smart directories must never act as if they were really containing something
+        return null;
+    }
+
+    contains(obj)
+    {
+        if(!obj) {
+            return false;
+        }
+
+        if(typeof obj === 'number') {
+            obj = { 'hash': obj };
+        } else if(!obj.hasOwnProperty('hash')) {
+            return false;
+        }
+
+        return (this.findDir({ 'hash': obj.hash }) !== null || this.findFile({ 'hash': obj.hash }) !== null);
+    }
+
+    hasChild(obj)
+    {
+        // Smart directories don't really contain children.
+        return null;
+    }
+
+    sort()
+    {
+        this.children = sort(this.children, this.sorting);
+        return this;
+    }
+
+    getHash() { return this.hash; }
+
+    getPath()
+    {
+        // Smart directories don't have a specific path
+        return '';
+    }
+
+    getName() { return this.name; }
+
+    isDirectory() { return true; }
+
+    /**
+     * Smart directories behave like virtual directories. Always returns true.
+     * @return {Boolean} Returns true.
+     */
+    isVirtualDirectory() { return true; }
+
+    isFile() { return false; }
+
+    isRoot() { return false; }
+
+    isScope() { return false; }
+}
+
+module.exports = ZettlrSmartDirectory;
@@ -146,10 +146,10 @@ class ZettlrVirtualDirectory
         return null;
     }
 
-    findExact(term)
+    findExact(term, anchors = true)
     {
         for(let c of this.children) {
-            let file = c.findExact(term);
+            let file = c.findExact(term, anchors);
             if(file != null) {
                 return file;
             }
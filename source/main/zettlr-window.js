@@ -331,11 +331,58 @@ class ZettlrWindow
         return (ret == 0);
     }
 
+    /**
+     * Ask whether or not the links inside the given files should be updated
+     * @param  {Array} files An array of ZettlrFile objects that would be changed
+     * @return {Boolean}       True if the user wishes to update the files, or false.
+     */
+    confirmLinkUpdate(files)
+    {
+        let ret = dialog.showMessageBox(this._win, {
+            type: 'question',
+            buttons: [ trans('system.ok'), trans('system.cancel') ],
+            defaultId: 0,
+            cancelId: 1,
+            title: trans('system.update_links_title'),
+            message: trans('system.update_links_message', files.length),
+            detail: files.map((f) => { return f.name; }).join('\n')
+        });
+
+        // 0 = Ok, 1 = Cancel
+        return (ret == 0);
+    }
+
+    /**
+     * Ask whether or not a new file should be created for an unresolved link
+     * @param  {String} term The contents of the link
+     * @return {Boolean}      True if the user wishes to create the file, or false.
+     */
+    confirmNewFileFromLink(term)
+    {
+        let ret = dialog.showMessageBox(this._win, {
+            type: 'question',
+            buttons: [ trans('system.ok'), trans('system.cancel') ],
+            defaultId: 0,
+            cancelId: 1,
+            title: trans('system.new_file_from_link_title'),
+            message: trans('system.new_file_from_link_message', term)
+        });
+
+        // 0 = Ok, 1 = Cancel
+        return (ret == 0);
+    }
+
     /**
      * Returns the Zettlr main object
      * @return {Zettlr} The parent app object
      */
     getApp() { return this._app; }
+
+    /**
+     * Returns the application menu
+     * @return {ZettlrMenu} The menu object
+     */
+    getMenu() { return this._menu; }
 }
 
 module.exports = ZettlrWindow;
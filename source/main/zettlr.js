@@ -30,9 +30,16 @@ const ZettlrWatchdog                = require('./zettlr-watchdog.js');
 const ZettlrStats                   = require('./zettlr-stats.js');
 const ZettlrUpdater                 = require('./zettlr-updater.js');
 const ZettlrExport                  = require('./zettlr-export.js');
+const ZettlrLinkIndex               = require('./zettlr-link-index.js');
+const ZettlrLinkRewriter            = require('./zettlr-link-rewriter.js');
+const ZettlrSearchIndex             = require('./zettlr-search-index.js');
+const ZettlrReplacer                = require('./zettlr-replacer.js');
+const ZettlrCitations               = require('./zettlr-citations.js');
 const {i18n, trans}                 = require('../common/lang/i18n.js');
-const {hash, ignoreDir,
-       ignoreFile, isFile, isDir}   = require('../common/zettlr-helpers.js');
+const {hash, ignoreDir, ignoreFile,
+       isFile, isDir,
+       flattenFiles,
+       generateUniqueId}            = require('../common/zettlr-helpers.js');
 
 const POLL_TIME                     = require('../common/data.json').poll_time;
 
@@ -57,6 +64,7 @@ class Zettlr
         this.currentDir = null;     // Current working directory (object)
         this.editFlag = false;      // Is the current opened file edited?
         this._openPaths = [];
+        this._exports = [];         // The running exports
 
         // INTERNAL OBJECTS
         this.window = null;         // Display content
@@ -79,12 +87,28 @@ class Zettlr
         // Statistics
         this.stats = new ZettlrStats(this);
 
+        // The index of all internal links
+        this._linkIndex = new ZettlrLinkIndex(this);
+        this._linkRewriter = new ZettlrLinkRewriter(this);
+        this._replacer = new ZettlrReplacer(this);
+
+        // The full-text index used for searching
+        this._searchIndex = new ZettlrSearchIndex(this);
+
+        // The entries of the bibliographies for autocompleting citations
+        this._citations = new ZettlrCitations(this);
+
         // And the window.
         this.window = new ZettlrWindow(this);
         this.openWindow();
 
         // Read all paths into the app
         this.refreshPaths();
+        this._linkIndex.sync();
+        this._searchIndex.sync();
+        // Smart directories may search the contents of the files, so they
+        // are only filled once the search index is up to date.
+        this.updateSmartDirectories();
 
         // If there are any, open argv-files
         this.handleAddRoots(global.filesToOpen);
@@ -128,12 +152,31 @@ class Zettlr
                         }
                     }
                 }
+
+                // Keep the link and search indices up to date
+                if(t == 'add' || t == 'change') {
+                    let file = this.findFile({ 'path': p });
+                    this._linkIndex.update(file);
+                    this._searchIndex.update(file);
+                    // Transclusions of the file may have to be rendered again.
+                    if(t == 'change' && file != null && file !== this.getCurrentFile()) {
+                        this.ipc.send('file-update', file);
+                    }
+                } else if(t == 'unlink' || t == 'unlinkDir') {
+                    this._linkIndex.remove(p);
+                    this._searchIndex.remove(p);
+                } else if(t == 'addDir') {
+                    this._linkIndex.sync();
+                    this._searchIndex.sync();
+                }
             });
 
             // flush all changes so they aren't processed again next cycle
             this.watchdog.flush();
             // Send a paths update to the renderer to reflect the changes.
-            this.ipc.send('paths-update', this.getPaths());
+            this.sendPaths();
+            // The changes may have added or removed links to the current file.
+            this.sendBacklinks();
         }
 
         setTimeout(() => { this.poll(); }, POLL_TIME);
@@ -145,10 +188,53 @@ class Zettlr
      */
     notifyChange(msg)
     {
-        this.ipc.send('paths-update', this.getPaths());
+        this.sendPaths();
         this.notify(msg);
     }
 
+    /**
+     * Recomputes the smart directories and sends the directory tree to the
+     * renderer.
+     */
+    sendPaths()
+    {
+        this.updateSmartDirectories();
+        this.ipc.send('paths-update', this.getPaths());
+    }
+
+    /**
+     * Recomputes the children of all smart directories.
+     * @param  {ZettlrFile} [file=null] If given, only this file is checked again.
+     * @return {Boolean} True, if any smart directory has changed.
+     */
+    updateSmartDirectories(file = null)
+    {
+        let changed = false;
+        for(let root of this.getPaths()) {
+            if(root.isDirectory()) {
+                changed = root.updateSmartDirectories(file) || changed;
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Parses all files again, e.g. because the prefix of IDs has changed, and
+     * brings the indices and the renderer up to date.
+     */
+    rereadFiles()
+    {
+        for(let file of this.getAllFiles()) {
+            file.read();
+        }
+
+        this._linkIndex.sync();
+        this._searchIndex.sync();
+        this.sendPaths();
+        this.sendBacklinks();
+    }
+
     /**
      * Shutdown the app. This function is called on quit.
      * @return {void} Does not return anything.
@@ -157,7 +243,10 @@ class Zettlr
     {
         this.config.save();
         this.stats.save();
+        this._linkIndex.save();
+        this._searchIndex.save();
         this.watchdog.stop();
+        this.cancelExports();
         // Perform closing activity in the path.
         for(let p of this._openPaths) {
             p.shutdown();
@@ -284,7 +373,7 @@ class Zettlr
 
         dir.toggleSorting(arg.type);
 
-        this.ipc.send('paths-update', this.getPaths());
+        this.sendPaths();
     }
 
     /**
@@ -321,7 +410,51 @@ class Zettlr
         }
 
         // Send the new paths and open the respective file.
-        this.ipc.send('paths-update', this.getPaths());
+        this.sendPaths();
+        this.window.setTitle(file.name);
+        this.setCurrentFile(file);
+        this.ipc.send('file-open', file.withContent());
+    }
+
+    /**
+     * Creates a new file for a link that can't be resolved, if the user wishes
+     * so. The file is named after the link and receives a new ID.
+     * @param  {String} term The contents of the link
+     */
+    newFileFromLink(term)
+    {
+        let dir = this.getCurrentDir();
+        // Virtual directories can't contain files of their own.
+        if(term.trim().length == 0 || dir == null || dir.isVirtualDirectory() || !this.window.confirmNewFileFromLink(term)) {
+            return;
+        }
+
+        if(!this.canClose()) {
+            return;
+        }
+
+        let zkn = this.getConfig().get('zkn');
+        let existing = [].concat(...this.getAllFiles().map((f) => { return f.ids; }));
+        let id = generateUniqueId(existing, zkn.idPattern, zkn.idPrefix);
+        let file = null;
+
+        try {
+            file = dir.newfile(term, this.watchdog);
+        } catch(e) {
+            return this.window.prompt({
+                type: 'error',
+                title: trans('system.error.could_not_create_file'),
+                message: e.message
+            });
+        }
+
+        if(id != null) {
+            this.watchdog.ignoreNext('change', file.path);
+            file.save(id + '\n\n');
+        }
+        this._linkIndex.update(file);
+
+        this.sendPaths();
         this.window.setTitle(file.name);
         this.setCurrentFile(file);
         this.ipc.send('file-open', file.withContent());
@@ -353,7 +486,7 @@ class Zettlr
 
         // Re-render the directories, and then as well the file-list of the
         // current folder.
-        this.ipc.send('paths-update', this.getPaths());
+        this.sendPaths();
 
         // Switch to newly created directory.
         this.setCurrentDir(dir);
@@ -374,10 +507,43 @@ class Zettlr
 
         // Create the vd
         let vd = dir.addVirtualDir(arg.name);
-        this.ipc.send('paths-update', this.getPaths());
+        this.sendPaths();
         this.setCurrentDir(vd);
     }
 
+    /**
+     * Creates a new smart directory or changes an existing one.
+     * @param  {Object} arg Contains name, rules, combine and either the hash of the containing directory or of the smart directory (edit)
+     */
+    saveSmartDir(arg)
+    {
+        let sd = null;
+        try {
+            if(arg.hasOwnProperty('edit')) {
+                sd = this.findDir({ 'hash': arg.edit });
+                if(sd == null) {
+                    return;
+                }
+                sd.setFilter(arg.name, arg.rules, arg.combine);
+            } else {
+                let dir = this.findDir({ 'hash': arg.hash });
+                if(dir == null) {
+                    return;
+                }
+                sd = dir.addSmartDir(arg.name, arg.rules, arg.combine);
+            }
+        } catch(e) {
+            return this.window.prompt({
+                type: 'error',
+                title: trans('system.error.smart_dir_title'),
+                message: e.message
+            });
+        }
+
+        this.sendPaths();
+        this.setCurrentDir(sd);
+    }
+
     /**
      * Open a new root.
      * @param  {String} [type='dir'] 'dir' or 'file'. Necessary, because on windows
@@ -442,7 +608,9 @@ class Zettlr
         }
 
         this._sortPaths();
-        this.ipc.send('paths-update', this.getPaths());
+        this._linkIndex.sync();
+        this._searchIndex.sync();
+        this.sendPaths();
         // Open the newly added path(s) directly.
         if(newDir)  { this.setCurrentDir(newDir);  }
         if(newFile) { this.sendFile(newFile.hash); }
@@ -475,7 +643,9 @@ class Zettlr
             this.setCurrentFile(null);
         }
         file.remove();
-        this.ipc.send('paths-update', this.getPaths());
+        this._linkIndex.remove(file.path);
+        this._searchIndex.remove(file.path);
+        this.sendPaths();
     }
 
     /**
@@ -525,8 +695,10 @@ class Zettlr
         // Now that we are save, let's move the current directory to trash.
         this.watchdog.ignoreNext('unlinkDir', dir.path);
         dir.remove();
+        this._linkIndex.remove(dir.path);
+        this._searchIndex.remove(dir.path);
 
-        this.ipc.send('paths-update', this.getPaths());
+        this.sendPaths();
     }
 
     /**
@@ -542,39 +714,107 @@ class Zettlr
         }
         if(vd && file) {
             vd.remove(file);
-            this.ipc.send('paths-update', this.getPaths());
+            this.sendPaths();
         }
     }
 
     /**
      * Export a file to another format. DEPRECATED: This function will be
      * moved into another class in further versions.
-     * @param  {Object} arg An object containing hash and wanted extension.
+     * @param  {Object} arg An object containing hash and wanted extension, or the name of an export profile.
      * @return {void}     Does not return.
      */
     exportFile(arg)
     {
         let file = this.findFile({ 'hash': arg.hash });
+        let profile = null;
+        if(arg.profile) {
+            profile = this.getExportProfile(arg.profile);
+            if(profile == null) {
+                this.notify(trans('system.error.profile_not_found', arg.profile));
+                return;
+            }
+        }
+        let citations = this.getCitationSettings(file);
         let opt = {
-            'format': arg.ext,      // Which format: "html", "docx", "odt", "pdf"
+            'format': arg.ext,      // Which format: "html", "docx", "odt", "pdf", "epub", "tex", "revealjs", "txt"
             'file': file,           // The file to be exported
             'dest': (this.config.get('export.dir') == 'temp') ? app.getPath('temp') : file.parent.path, // Either temp or cwd
             'tplDir': this.config.getEnv('templateDir'),
             'stripIDs': this.config.get('export.stripIDs'),
             'stripTags': this.config.get('export.stripTags'),
             'stripLinks': this.config.get('export.stripLinks'),
+            'findExact': (term) => { return this.findExact(term); },
             'pdf': this.config.get('pdf'),
+            'epub': this.config.get('epub'),
+            'latex': this.config.get('latex'),
+            'revealjs': this.config.get('revealjs'),
+            'text': this.config.get('text'),
+            'profile': profile,
+            'bibliography': citations.bibliography,
+            'csl': citations.csl,
             'title': file.name.substr(0, file.name.lastIndexOf('.')),
             'author': this.config.get('pdf').author,
             'keywords': this.config.get('pdf').keywords
         };
 
-        // Call the exporter.
+        this.runExport(opt);
+    }
+
+    /**
+     * Runs an export and reports its outcome to the renderer. Errors are shown
+     * together with the output of pandoc.
+     * @param  {Object} opt The options for ZettlrExport
+     */
+    runExport(opt)
+    {
+        let exporter = null;
         try {
-            new ZettlrExport(opt); // TODO don't do this with instantiation
-            this.notify(trans('system.export_success', opt.format.toUpperCase()));
+            exporter = new ZettlrExport(opt, (err, cancelled, cleanupError) => {
+                this._exports.splice(this._exports.indexOf(exporter), 1);
+                this.ipc.send('export-status', { 'running': this._exports.length > 0 });
+                if(cancelled) {
+                    this.notify(trans('system.export_cancelled'));
+                } else if(err) {
+                    this._sendExportError(err);
+                } else {
+                    this.notify(trans('system.export_success', opt.format.toUpperCase()));
+                }
+
+                // Leftover temporary files don't affect the export itself.
+                if(cleanupError) {
+                    this.notify(cleanupError.message);
+                }
+            });
         } catch(err) {
-            this.notify(err.name + ': ' + err.message); // Error may be thrown
+            this._sendExportError(err);
+            return;
+        }
+
+        this._exports.push(exporter);
+        this.ipc.send('export-status', { 'running': true });
+    }
+
+    /**
+     * Sends an error of an export to the renderer to display it.
+     * @param  {Error} err The error, which may contain details such as the output of pandoc
+     */
+    _sendExportError(err)
+    {
+        this.ipc.send('export-error', {
+            'title': err.name,
+            'message': err.message,
+            'details': err.details || ''
+        });
+    }
+
+    /**
+     * Cancels all running exports.
+     */
+    cancelExports()
+    {
+        for(let exporter of this._exports) {
+            exporter.cancel();
         }
     }
 
@@ -599,12 +839,14 @@ class Zettlr
         }
 
         let oldDir = path.dirname(dir.path);
+        let oldDirPath = dir.path;
 
         // Save for later whether this is the currentDir (have to re-send dir list)
         let isCurDir = ((this.getCurrentDir() != null) && (dir.hash == this.getCurrentDir().hash)) ? true : false;
         let oldPath = null;
 
-        if((this.getCurrentFile() !== null) && (dir.findFile({ 'hash': this.getCurrentFile().hash }) !== null)) {
+        // Virtual and smart directories only change their name, not the paths of their files
+        if(!dir.isVirtualDirectory() && (this.getCurrentFile() !== null) && (dir.findFile({ 'hash': this.getCurrentFile().hash }) !== null)) {
             // The current file is in said dir so we need to trick a little bit
             oldPath = this.getCurrentFile().path;
             let relative = oldPath.replace(dir.path, ""); // Remove old directory to get relative path
@@ -616,8 +858,10 @@ class Zettlr
 
         // Move to same location with different name
         dir.move(oldDir, arg.name);
+        this._linkIndex.sync();
+        this._searchIndex.sync();
 
-        this.ipc.send('paths-update', this.getPaths());
+        this.sendPaths();
 
         if(isCurDir) {
             this.ipc.send('set-current-dir', dir);
@@ -628,6 +872,10 @@ class Zettlr
             let nfile = dir.findFile({ 'hash': oldPath });
             this.setCurrentFile(nfile);
         }
+
+        if(!dir.isVirtualDirectory()) {
+            this.updateLinks(oldDirPath, dir.path);
+        }
     }
 
     /**
@@ -639,11 +887,13 @@ class Zettlr
     {
         // { 'hash': hash, 'name': val }
         let file = null;
+        let oldPath = null;
 
         // Possibilities: Non-opened file or opened file
         if(this.getCurrentFile() && (this.getCurrentFile().hash == arg.hash)) {
             // Current file should be renamed.
             file = this.getCurrentFile();
+            oldPath = file.path;
             file.rename(arg.name, this.getWatchdog());
 
             // Adapt window title
@@ -651,11 +901,24 @@ class Zettlr
         } else {
             // Non-open file should be renamed.
             file = this.findFile({'hash': arg.hash});
+            oldPath = file.path;
             file.rename(arg.name, this.getWatchdog()); // Done.
         }
 
+        // The file's path has changed, and links to its title may now resolve
+        // to a different file.
+        this._linkIndex.sync();
+        this._searchIndex.sync();
+
         // Replace all relevant properties of the renamed file in renderer.
         this.ipc.send('file-replace', { 'hash': arg.hash, 'file': file });
+
+        this.updateLinks(
+            oldPath,
+            file.path,
+            path.basename(oldPath, path.extname(oldPath)),
+            path.basename(file.path, path.extname(file.path))
+        );
     }
 
     /**
@@ -697,11 +960,12 @@ class Zettlr
             // Then simply attach.
             to.attach(from);
             // And, of course, refresh the renderer.
-            this.ipc.send('paths-update', this.getPaths());
+            this.sendPaths();
             return;
         }
 
         let newPath = null;
+        let oldFromPath = from.path;
 
         if(from.isFile() && (this.getCurrentFile() != null) && (from.hash == this.getCurrentFile().hash)) {
             // Current file is to be moved
@@ -710,13 +974,16 @@ class Zettlr
             this.watchdog.ignoreNext('add', path.join(to.path, from.name));
             from.move(to.path);
             to.attach(from);
+            this._linkIndex.sync();
+            this._searchIndex.sync();
 
             // Now our current file has been successfully moved and will
             // save correctly. Problem? The client needs it as well.
             // We have to set current dir (the to-dir) and current file AND
             // select it.
             this.setCurrentDir(to); // Current file is still correctly set
-            this.ipc.send('paths-update', this.getPaths());
+            this.sendPaths();
+            this.updateLinks(oldFromPath, from.path);
             return;
         } else if((this.getCurrentFile() !== null)
         && (from.findFile({ 'hash': this.getCurrentFile().hash }) !== null)) {
@@ -742,13 +1009,142 @@ class Zettlr
         from.move(to.path);
         // Add directory or file to target dir
         to.attach(from);
+        this._linkIndex.sync();
+        this._searchIndex.sync();
 
-        this.ipc.send('paths-update', this.getPaths());
+        this.sendPaths();
 
         if(newPath != null) {
             // Find the current file and reset the pointers to it.
             this.setCurrentFile(from.findFile({ 'hash': newPath}));
         }
+
+        this.updateLinks(oldFromPath, from.path);
+    }
+
+    /**
+     * Rewrites all links and references that have been broken by renaming or
+     * moving a file or directory, after asking the user.
+     * @param  {String} oldPath         The path before the move
+     * @param  {String} newPath         The path after the move
+     * @param  {String} [oldTitle=null] If a file was renamed, its old name without extension
+     * @param  {String} [newTitle=null] If a file was renamed, its new name without extension
+     */
+    updateLinks(oldPath, newPath, oldTitle = null, newTitle = null)
+    {
+        let changes = this._linkRewriter.plan(oldPath, newPath, oldTitle, newTitle);
+
+        // Never overwrite unsaved changes in the editor
+        if(this.isModified()) {
+            changes = changes.filter((c) => { return c.file !== this.getCurrentFile(); });
+        }
+
+        if(changes.length == 0 || !this.window.confirmLinkUpdate(changes.map((c) => { return c.file; }))) {
+            return;
+        }
+
+        let backupDir = null;
+        try {
+            backupDir = this._linkRewriter.apply(changes);
+        } catch(e) {
+            return this.window.prompt({
+                type: 'error',
+                title: trans('system.error.update_links_title'),
+                message: e.message
+            });
+        }
+
+        // Reload the current file, if its links have been changed
+        if(changes.find((c) => { return c.file === this.getCurrentFile(); })) {
+            this.ipc.send('file-open', this.getCurrentFile().withContent());
+        }
+
+        this.notify(trans('system.links_updated', changes.length, backupDir));
+        this.sendBacklinks();
+    }
+
+    /**
+     * Checks a directory for broken links, duplicate IDs and orphaned files
+     * and sends the report to the renderer.
+     * @param  {Object} arg An object containing the hash of the directory.
+     */
+    checkLinks(arg)
+    {
+        let dir = this.findDir({ 'hash': arg.hash });
+        if(dir == null) {
+            return;
+        }
+
+        let report = this._linkIndex.check(dir);
+        report.dir = dir.name;
+        this.ipc.send('link-report', report);
+    }
+
+    /**
+     * Searches all files of a directory for a term and sends all matches
+     * together with their replacements to the renderer for review.
+     * @param  {Object} arg An object containing hash, search, replace and options.
+     */
+    previewReplace(arg)
+    {
+        let dir = this.findDir({ 'hash': arg.hash });
+        if(dir == null) {
+            return;
+        }
+
+        let files = [];
+        try {
+            files = this._replacer.plan(dir, arg.search, arg.replace, arg.options);
+        } catch(err) {
+            // Invalid regular expressions
+            return this.notify(trans('gui.search_invalid_regex', err.message));
+        }
+
+        if(files.length == 0) {
+            return this.notify(trans('system.replace_no_matches', arg.search));
+        }
+
+        this.ipc.send('replace-preview', {
+            'dir': dir.name,
+            'search': arg.search,
+            'replace': arg.replace,
+            'files': files
+        });
+    }
+
+    /**
+     * Replaces the matches the user has selected in the preview and sends a
+     * report of all changed files to the renderer.
+     * @param  {Object} arg Maps the hashes of the files onto the indices of the selected matches.
+     */
+    replaceInDir(arg)
+    {
+        let report = null;
+        try {
+            report = this._replacer.apply(arg);
+        } catch(e) {
+            return this.window.prompt({
+                type: 'error',
+                title: trans('system.error.replace_title'),
+                message: e.message
+            });
+        }
+
+        for(let c of report.changed) {
+            let file = this.findFile({ 'hash': c.hash });
+            if(file === this.getCurrentFile()) {
+                // Reload the file, so that the editor displays the replacements
+                this.ipc.send('file-open', file.withContent());
+            } else {
+                this.ipc.send('file-update', file);
+            }
+        }
+
+        if(report.changed.length > 0) {
+            this.sendPaths();
+        }
+        this.ipc.send('replace-report', report);
+        this.sendBacklinks();
     }
 
     // SPELLCHECKING RELATED FUNCTIONS
@@ -872,11 +1268,16 @@ class Zettlr
         // Ignore the next change for this specific file
         this.watchdog.ignoreNext('change', file.path);
         file.save(cnt);
+        this._linkIndex.update(file, cnt);
         this.clearModified();
         // Immediately update the paths in renderer so that it is able to find
         // the file to (re)-select it.
         // this.ipc.send('paths-update', this.getPaths());
         this.ipc.send('file-update', file);
+        // The file may have been added to or removed from a smart directory
+        if(this.updateSmartDirectories(file)) {
+            this.ipc.send('paths-update', this.getPaths());
+        }
 
         // Switch to newly created file (only happens before a file is selected)
         if(this.getCurrentFile() == null) {
@@ -923,17 +1324,36 @@ class Zettlr
     }
 
     /**
-     * Either returns one file that matches its ID with the given term or null
+     * Returns a one-dimensional array of all files within all open paths
+     * @return {Array} An array containing ZettlrFile objects.
+     */
+    getAllFiles()
+    {
+        let files = new Map();
+        for(let p of this.getPaths()) {
+            for(let f of flattenFiles(p)) {
+                files.set(f.hash, f);
+            }
+        }
+
+        return Array.from(files.values());
+    }
+
+    /**
+     * Either returns one file that matches its ID with the given term or null.
+     * As titles may contain a "#" or "^" themselves, the whole term is tried
+     * first, and only then the term without a heading or block anchor.
      * @param  {String} term The ID to be searched for
      * @return {ZettlrFile}      The exact match, or null.
      */
     findExact(term)
     {
-        let found = null;
-        for(let p of this.getPaths()) {
-            found = p.findExact(term);
-            if(found != null) {
-                return found;
+        for(let anchors of [ false, true ]) {
+            for(let p of this.getPaths()) {
+                let found = p.findExact(term, anchors);
+                if(found != null) {
+                    return found;
+                }
             }
         }
 
@@ -958,7 +1378,9 @@ class Zettlr
                 }
                 this.getConfig().removePath(p.getPath());
                 this.getPaths().splice(this.getPaths().indexOf(p), 1);
-                this.ipc.send('paths-update', this.getPaths());
+                this._linkIndex.remove(p.getPath());
+                this._searchIndex.remove(p.getPath());
+                this.sendPaths();
                 break;
             }
         }
@@ -1021,6 +1443,7 @@ class Zettlr
             // Dereference
             this.currentFile = null;
             this.ipc.send('file-set-current', null);
+            this.sendBacklinks();
             return;
         }
 
@@ -1033,6 +1456,129 @@ class Zettlr
         }
         this.currentFile = f;
         this.ipc.send('file-set-current', f.hash);
+        this.sendBacklinks();
+    }
+
+    /**
+     * Sends the list of files linking to the current file to the renderer.
+     */
+    sendBacklinks()
+    {
+        // Only send the necessary properties, the complete file objects would
+        // drag their whole parent tree along.
+        let backlinks = [];
+        if(this._linkIndex && this.getCurrentFile()) {
+            for(let f of this._linkIndex.getBacklinks(this.getCurrentFile())) {
+                backlinks.push({ 'hash': f.hash, 'name': f.name, 'id': f.id, 'dir': f.dir });
+            }
+        }
+
+        this.ipc.send('file-backlinks', backlinks);
+    }
+
+    /**
+     * Sends the title and the first paragraph of the file a link resolves to.
+     * @param  {String} term The link target or ID
+     */
+    sendFilePreview(term)
+    {
+        let file = this.findExact(term);
+        let preview = { 'term': term, 'title': null, 'content': '' };
+        if(file != null) {
+            preview.title = file.name.substr(0, file.name.length - file.ext.length);
+            preview.content = file.getFirstParagraph();
+        }
+
+        this.ipc.send('file-preview', preview);
+    }
+
+    /**
+     * Sends the contents of a file to be transcluded into the editor. Nested
+     * transclusions are resolved the same way as on export.
+     * @param  {String} term The ID or title of the file
+     */
+    sendTransclusion(term)
+    {
+        let file = this.findExact(term);
+        let transclusion = { 'term': term, 'title': null, 'content': '', 'hashes': [] };
+        if(file != null) {
+            transclusion.title = file.name.substr(0, file.name.length - file.ext.length);
+            let chain = (this.getCurrentFile() != null) ? [ this.getCurrentFile().path ] : [];
+            // Remember all files that end up in the widget, so that the
+            // renderer knows when it has to request the transclusion again.
+            let findExact = (t) => {
+                let found = this.findExact(t);
+                if(found != null && !transclusion.hashes.includes(found.hash)) {
+                    transclusion.hashes.push(found.hash);
+                }
+                return found;
+            };
+            try {
+                transclusion.content = ZettlrExport.transclude(`![[${term}]]`, findExact, chain);
+            } catch(err) {
+                transclusion.content = err.message;
+            }
+        }
+
+        this.ipc.send('file-transclusion', transclusion);
+    }
+
+    /**
+     * Returns the bibliography and the citation style to be used for a file or
+     * directory. The settings of a project containing it take precedence over
+     * the preferences. Relative paths in the project settings are resolved
+     * against the project directory.
+     * @param  {Object} obj A ZettlrFile or ZettlrDir
+     * @return {Object}     An object containing bibliography and csl (both may be empty).
+     */
+    getCitationSettings(obj)
+    {
+        let settings = Object.assign({ 'bibliography': '', 'csl': '' }, this.config.get('citations'));
+        for(let dir = (obj.type == 'file') ? obj.parent : obj; dir && dir.type == 'directory'; dir = dir.parent) {
+            let project = dir.getProject();
+            if(project) {
+                let citations = project.getProperties().citations;
+                for(let key of [ 'bibliography', 'csl' ]) {
+                    if(citations[key]) {
+                        settings[key] = path.resolve(dir.path, citations[key]);
+                    }
+                }
+                break;
+            }
+        }
+
+        return settings;
+    }
+
+    /**
+     * Returns an export profile.
+     * @param  {String} name The name of the profile
+     * @return {Object}      The profile, or null if there is none with this name.
+     */
+    getExportProfile(name)
+    {
+        return this.config.get('exportProfiles').find((profile) => { return profile.name == name; }) || null;
+    }
+
+    /**
+     * Sends the entries of the bibliography of a file, so that the editor can
+     * autocomplete citations.
+     * @param  {Number} hash The hash of the file
+     */
+    sendCitations(hash)
+    {
+        let file = this.findFile({ 'hash': hash });
+        let entries = [];
+        let bibliography = (file != null) ? this.getCitationSettings(file).bibliography : '';
+        if(bibliography) {
+            try {
+                entries = this._citations.getEntries(bibliography);
+            } catch(err) {
+                this.notify(err.message);
+            }
+        }
+
+        this.ipc.send('citations', entries);
     }
 
     /**
@@ -1054,8 +1600,24 @@ class Zettlr
     }
 
     /**
-     * Closes the current file and takes care of all steps necessary to accomodate.
+     * Searches the given files and sends all results at once.
+     * @param  {Object} arg An object containing the terms, the hashes of the files to be searched and the options.
      */
+    search(arg)
+    {
+        let results = [];
+        try {
+            results = this._searchIndex.search(arg.terms, arg.hashes, arg.options, arg.filters);
+        } catch(err) {
+            // Invalid regular expressions
+            this.notify(trans('gui.search_invalid_regex', err.message));
+        }
+
+        this.ipc.send('search-results', results);
+    }
+
+    /**
+     * Closes the current file and takes care of all steps necessary to accomodate.
     closeFile()
     {
         this.window.setTitle('');
@@ -1123,6 +1685,18 @@ class Zettlr
      */
     getUpdater()     { return this._updater; }
 
+    /**
+     * Returns the link index
+     * @return {ZettlrLinkIndex} The link index instance.
+     */
+    getLinkIndex()   { return this._linkIndex; }
+
+    /**
+     * Returns the search index
+     * @return {ZettlrSearchIndex} The search index instance.
+     */
+    getSearchIndex() { return this._searchIndex; }
+
     /**
      * Returns the watchdog
      * @return {ZettlrWatchdog} The watchdog instance.
@@ -13,6 +13,8 @@
     var delim = "!\"#$%&()*+,-./:;<=>?@[\\]^_`{|}~ «»“”–—…÷‘’‚";
     var zknLinkRE = /\[\[(.*?)\]\]/;
     var zknTagRE = /#[A-Z0-9-_]+/i;
+    // Pandoc citations such as [@doe2018], [-@doe2018] or [see @doe2018, p. 3; @roe2019]
+    var citationRE = /\[(?:[^\[\]@]*[\s;])?-?@[\w:.#$%&+?<>~\/-]+[^\[\]]*\](?!\()/;
     var tableRE = /^\|.+\|$/i;
 
     /**
@@ -38,6 +40,11 @@
                     return null;
                 }
 
+                // Citekeys are no words
+                if (stream.match(citationRE)) {
+                    return null;
+                }
+
                 // Don't spellcheck tags -> match the zknTagRe first without
                 // forwarding the stream (to avoid having to go back all the way)
                 if(stream.match(zknTagRE, false)) {
@@ -101,6 +108,8 @@
      * @return {OverlayMode}              The loaded overlay mode.
      */
     CodeMirror.defineMode("markdown-zkn", function(config, parserConfig) {
+        // The prefix of IDs can be configured by the user
+        var idPrefix = parserConfig.idPrefix || '@ID:';
 
         var markdownZkn = {
             token: function(stream, state) {
@@ -123,10 +132,15 @@
                     return "zkn-link";
                 }
 
+                // Citations, as long as they are no Markdown links
+                if (stream.match(citationRE)) {
+                    return "zkn-citation";
+                }
+
                 // Third: IDs (The upside of this is that IDs _inside_ links will
                 // be treated as _links_ and not as "THE" ID of the file as long
                 // as the definition of zlkn-links is above this matcher.)
-                if(stream.match('@ID:')) {
+                if(stream.match(idPrefix)) {
                     let chars = 0;
                     while((ch = stream.next()) != null) {
                         if (delim.includes(ch) && chars > 1) {
@@ -144,8 +158,9 @@
                 // Progress until another match.
                 while (stream.next() != null
                 && !stream.match(zknTagRE, false)
-                && !stream.match('@ID:', false)
-                && !stream.match(zknLinkRE, false)) {}
+                && !stream.match(idPrefix, false)
+                && !stream.match(zknLinkRE, false)
+                && !stream.match(citationRE, false)) {}
 
                 return null;
             }
@@ -86,8 +86,8 @@ class TreeView
         // Activate event listeners
         this._dir.on('click', () => { this._parent.requestDir(this.getHash()); });
 
-        // Make draggable (unless root or virtual directory)
-        if(!this.isRoot() && this._paths.type != 'virtual-directory') {
+        // Make draggable (unless root, virtual or smart directory)
+        if(!this.isRoot() && this._paths.type != 'virtual-directory' && this._paths.type != 'smart-directory') {
             this._dir.draggable({
                 'cursorAt': { 'top': 10, 'left': 10},
                 'scroll': false,
@@ -48,6 +48,15 @@ class ZettlrAttachments
         this._open = !this._open;
     }
 
+    /**
+     * Is the pane currently shown?
+     * @return {Boolean} True, if the pane is open.
+     */
+    isOpen()
+    {
+        return this._open;
+    }
+
     /**
      * Refreshes the list with new attachments on dir change.
      */
@@ -0,0 +1,108 @@
+/**
+ * @ignore
+ * BEGIN HEADER
+ *
+ * Contains:        ZettlrBacklinks class
+ * CVM-Role:        View
+ * Maintainer:      Hendrik Erz
+ * License:         GNU GPL v3
+ *
+ * Description:     Displays all files that link to the current file.
+ *
+ * END HEADER
+ */
+
+const path    = require('path');
+const {trans} = require('../common/lang/i18n.js');
+
+class ZettlrBacklinks
+{
+    /**
+     * Create and append the backlink pane.
+     * @param {ZettlrRenderer} parent The renderer.
+     */
+    constructor(parent)
+    {
+        this._renderer = parent;
+        this._container = $('<div>').prop('id', 'backlinks');
+        $('body').append(this._container);
+        this._open = false;
+        this._backlinks = [];
+
+        this.refresh();
+    }
+
+    /**
+     * Shows/hides the pane.
+     */
+    toggle()
+    {
+        if(!this._open) {
+            this._container.animate({'right': '0%'});
+            // Make sure the list is up to date
+            this._renderer.send('get-backlinks');
+        } else {
+            this._container.animate({'right': '-20%'});
+        }
+
+        this._open = !this._open;
+    }
+
+    /**
+     * Is the pane currently shown?
+     * @return {Boolean} True, if the pane is open.
+     */
+    isOpen()
+    {
+        return this._open;
+    }
+
+    /**
+     * Replaces the list of backlinks.
+     * @param {Array} backlinks An array of objects containing hash, name, id and dir
+     */
+    setBacklinks(backlinks)
+    {
+        this._backlinks = backlinks || [];
+        this.refresh();
+    }
+
+    /**
+     * Refreshes the displayed list.
+     */
+    refresh()
+    {
+        this._container.html(`<h1>${trans('gui.backlinks')}</h1>`);
+
+        if(!this._renderer.getCurrentFile() || this._backlinks.length == 0) {
+            this._container.append($('<p>').text(trans('gui.no_backlinks')));
+            return;
+        }
+
+        for(let b of this._backlinks) {
+            let a = $('<a>')
+                .text(path.basename(b.name, path.extname(b.name)))
+                .attr('href', '#')
+                .attr('data-hash', b.hash);
+            if(b.id) {
+                a.append($('<small>').text(b.id));
+            }
+            this._container.append(a);
+        }
+
+        this._act();
+    }
+
+    /**
+     * Activates the event listeners on the backlink pane.
+     */
+    _act()
+    {
+        $('#backlinks a').click((e) => {
+            e.preventDefault();
+            this._renderer.requestFile($(e.currentTarget).attr('data-hash'));
+        });
+    }
+}
+
+module.exports = ZettlrBacklinks;
@@ -271,6 +271,12 @@ class ZettlrBody
         });
     }
 
+    /**
+     * Returns the recent documents, the most recently opened one last
+     * @return {Array} An array of objects containing hash and name.
+     */
+    getRecentDocuments() { return this._recentDocs; }
+
     /**
      * Add a new document to the list of recent documents, unless it already exists
      * @param {ZettlrFile} file The file to be added
@@ -393,14 +399,48 @@ class ZettlrBody
             <div class="btn-share pdf" title="${trans('dialog.export.alt_pdf')}" data-ext="pdf" data-hash="${file.hash}">PDF</div>
             <div class="btn-share odt" title="${trans('dialog.export.alt_odt')}" data-ext="odt" data-hash="${file.hash}">ODT</div>
             <div class="btn-share docx" title="${trans('dialog.export.alt_docx')}" data-ext="docx" data-hash="${file.hash}">DOCX</div>
+            <div class="btn-share epub" title="${trans('dialog.export.alt_epub')}" data-ext="epub" data-hash="${file.hash}">EPUB</div>
+            <div class="btn-share tex" title="${trans('dialog.export.alt_tex')}" data-ext="tex" data-hash="${file.hash}">TEX</div>
+            <div class="btn-share revealjs" title="${trans('dialog.export.alt_revealjs')}" data-ext="revealjs" data-hash="${file.hash}">Slides</div>
+            <div class="btn-share txt" title="${trans('dialog.export.alt_txt')}" data-ext="txt" data-hash="${file.hash}">TXT</div>
             `
         );
+        let profiles = this._renderer.getExportProfiles();
+        if(profiles.length > 0) {
+            let list = $('<div>').addClass('export-profiles').append($('<p>').text(trans('dialog.export.profiles')));
+            for(let profile of profiles) {
+                list.append($('<div>').addClass('btn-share profile')
+                    .text(profile.name)
+                    .attr('data-profile', profile.name)
+                    .attr('data-hash', file.hash));
+            }
+            cnt.append(list);
+        }
+        if(this._renderer.isExporting()) {
+            cnt.append($('<div>').addClass('export-cancel').text(trans('dialog.export.cancel')));
+        }
         let popup = new ZettlrPopup(this, $('.button.share'), cnt);
 
         $('.btn-share').click((e) => {
             this.requestExport(e.target);
             popup.close();
         });
+
+        $('.export-cancel').click((e) => {
+            this._renderer.requestCancelExport();
+            popup.close();
+        });
+    }
+
+    /**
+     * Displays an error that occurred on export, together with the output of
+     * pandoc, if there is one.
+     * @param  {Object} cnt An object containing title, message and details.
+     */
+    displayExportError(cnt)
+    {
+        this._dialog.init('export-error', cnt);
+        this._dialog.open();
     }
 
     /**
@@ -447,6 +487,83 @@ class ZettlrBody
         this._dialog.open();
     }
 
+    /**
+     * Displays the report of a link check
+     * @param  {Object} cnt An object containing the arrays broken, duplicates and orphans.
+     */
+    displayLinkReport(cnt)
+    {
+        this._dialog.init('link-report', cnt);
+        this._dialog.open();
+    }
+
+    /**
+     * Displays the dialog to create or to edit a smart directory
+     * @param  {Object} cnt An object containing the hash of either the containing directory or the smart directory.
+     */
+    displaySmartDirectory(cnt)
+    {
+        let dir = this._renderer.findObject(cnt.hash);
+        if(!dir) {
+            return;
+        }
+
+        if(dir.type == 'smart-directory') {
+            this._dialog.init('smart-directory', {
+                'hash': dir.hash,
+                'edit': true,
+                'name': dir.name,
+                'combine': dir.combine,
+                'rules': dir.rules
+            });
+        } else {
+            this._dialog.init('smart-directory', {
+                'hash': dir.hash,
+                'edit': false,
+                'name': '',
+                'combine': 'AND',
+                'rules': [ { 'mode': 'contains', 'content': '' } ]
+            });
+        }
+        this._dialog.open();
+    }
+
+    /**
+     * Asks for the terms to be found and replaced within a directory
+     * @param  {Object} cnt An object containing the hash of the directory.
+     */
+    displayReplaceInDir(cnt)
+    {
+        let dir = this._renderer.findObject(cnt.hash);
+        if(!dir) {
+            return;
+        }
+
+        this._dialog.init('replace-in-dir', { 'hash': dir.hash, 'name': dir.name });
+        this._dialog.open();
+    }
+
+    /**
+     * Displays all matches of a find and replace within a directory, so that
+     * the user can choose which of them should be replaced
+     * @param  {Object} cnt An object containing dir, search, replace and files.
+     */
+    displayReplacePreview(cnt)
+    {
+        this._dialog.init('replace-preview', cnt);
+        this._dialog.open();
+    }
+
+    /**
+     * Displays the files that have been changed by a find and replace
+     * @param  {Object} cnt An object containing the arrays changed and skipped.
+     */
+    displayReplaceReport(cnt)
+    {
+        this._dialog.init('replace-report', cnt);
+        this._dialog.open();
+    }
+
     /**
      * Displays the about dialog
      */
@@ -463,7 +580,9 @@ class ZettlrBody
         }
 
         let cnt = `<form class="search"><input type="text" placeholder="${trans('gui.find_placeholder')}" value="" id="searchWhat"><button id="searchNext">${trans('gui.find_label')}</button><br>
-        <input type="text" placeholder="${trans('gui.replace_placeholder')}" value="" id="replaceWhat"><button id="replaceNext">${trans('gui.replace_label')}</button><button id="replaceAll">${trans('gui.replace_all_label')}</button></form>`;
+        <input type="text" placeholder="${trans('gui.replace_placeholder')}" value="" id="replaceWhat"><button id="replaceNext">${trans('gui.replace_label')}</button><button id="replaceAll">${trans('gui.replace_all_label')}</button><br>
+        <label><input type="checkbox" id="searchCaseSensitive"> ${trans('gui.search_case_sensitive')}</label>
+        <label><input type="checkbox" id="searchWholeWord"> ${trans('gui.search_whole_word')}</label></form>`;
 
         // This must be a persistent popup
         let popup = (new ZettlrPopup(this, $('.button.find'), cnt, (x) => {
@@ -489,18 +608,25 @@ class ZettlrBody
             }
         });
 
+        let options = () => {
+            return {
+                'caseSensitive': $('#searchCaseSensitive').prop('checked'),
+                'wholeWord': $('#searchWholeWord').prop('checked')
+            };
+        };
+
         $('#searchNext').click((e) => {
-            this._renderer.getEditor().searchNext($('#searchWhat').val());
+            this._renderer.getEditor().searchNext($('#searchWhat').val(), options());
         });
 
         $('#replaceNext').click((e) => {
             this._renderer.getEditor().replaceNext($('#replaceWhat').val());
             // Immediately highlight the next search result
-            this._renderer.getEditor().searchNext($('#searchWhat').val());
+            this._renderer.getEditor().searchNext($('#searchWhat').val(), options());
         });
 
         $('#replaceAll').click((e) => {
-            this._renderer.getEditor().replaceAll($('#searchWhat').val(), $('#replaceWhat').val());
+            this._renderer.getEditor().replaceAll($('#searchWhat').val(), $('#replaceWhat').val(), options());
         });
     }
 
@@ -581,7 +707,8 @@ class ZettlrBody
         // data for export.
         let ext = $(elem).attr('data-ext');
         let hash = $(elem).attr('data-hash');
-        this._renderer.requestExport(hash, ext);
+        let profile = $(elem).attr('data-profile') || '';
+        this._renderer.requestExport(hash, ext, profile);
     }
 
     /**
@@ -619,6 +746,15 @@ class ZettlrBody
         stripIDs = false,
         stripTags = false,
         stripLinks = "full",
+        epubCover = '',
+        epubPublisher = '',
+        epubLanguage = '',
+        latexTemplate = false,
+        revealjsTheme = 'white',
+        revealjsTransition = 'slide',
+        revealjsSlideLevel = 2,
+        textColumns = 0,
+        profiles = { 'name': [], 'format': [], 'action': [], 'template': [], 'filters': [], 'args': [] },
         author = '',
         keywords = '',
         lmargin = 0,
@@ -633,12 +769,31 @@ class ZettlrBody
         pagenumbering = 'gobble',
         mute = false,
         combinerState = 'collapsed',
+        linkPreference = 'id',
+        idPrefix = '@ID:',
+        idPattern = '%Y%M%D%h%m%s',
         tags = { 'name' : [], 'color': [], 'desc': []},
         project_title = '',
+        project_format = 'pdf',
+        project_profile = '',
+        bibliography = '',
+        csl = '',
         hash = '',
         toc = false,
         tocDepth = 0,
-        titlepage = false;
+        titlepage = false,
+        replaceHash = '',
+        replaceSearch = '',
+        replaceWith = '',
+        replaceCaseSensitive = false,
+        replaceWholeWord = false,
+        replaceMatches = {},
+        smartDirName = '',
+        smartDirCombine = 'AND',
+        smartDirModes = [],
+        smartDirContents = [],
+        smartDirHash = '',
+        smartDirEdit = false;
 
         for(let r of res) {
             switch(r.name) {
@@ -660,6 +815,15 @@ class ZettlrBody
                 case 'pref-mute-lines':
                 mute = true;
                 break;
+                case 'pref-link-preference':
+                linkPreference = r.value;
+                break;
+                case 'pref-zkn-id-prefix':
+                idPrefix = r.value.trim();
+                break;
+                case 'pref-zkn-id-pattern':
+                idPattern = r.value.trim() || idPattern;
+                break;
                 case 'spellcheck[]':
                 spellcheck[r.value] = true;
                 break;
@@ -681,6 +845,38 @@ class ZettlrBody
                 case 'pref-export-strip-links':
                 stripLinks = r.value;
                 break;
+                case 'pref-epub-cover':
+                epubCover = r.value.trim();
+                break;
+                case 'pref-epub-publisher':
+                epubPublisher = r.value;
+                break;
+                case 'pref-epub-language':
+                epubLanguage = r.value.trim();
+                break;
+                case 'pref-latex-template':
+                latexTemplate = true;
+                break;
+                case 'pref-revealjs-theme':
+                revealjsTheme = r.value;
+                break;
+                case 'pref-revealjs-transition':
+                revealjsTransition = r.value;
+                break;
+                case 'pref-revealjs-slide-level':
+                revealjsSlideLevel = parseInt(r.value);
+                break;
+                case 'pref-text-columns':
+                textColumns = parseInt(r.value) || 0;
+                break;
+                case 'pref-profile-name':
+                case 'pref-profile-format':
+                case 'pref-profile-action':
+                case 'pref-profile-template':
+                case 'pref-profile-filters':
+                case 'pref-profile-args':
+                profiles[r.name.replace('pref-profile-', '')].push(r.value.trim());
+                break;
                 case 'pref-attachments':
                 // We have to account for user jokes
                 attachments = r.value.split(',');
@@ -744,6 +940,20 @@ class ZettlrBody
                 case 'prefs-project-title':
                 project_title = r.value;
                 break;
+                case 'prefs-project-format':
+                project_format = r.value;
+                break;
+                case 'prefs-project-profile':
+                project_profile = r.value;
+                break;
+                case 'pref-citations-bibliography':
+                case 'prefs-project-bibliography':
+                bibliography = r.value.trim();
+                break;
+                case 'pref-citations-csl':
+                case 'prefs-project-csl':
+                csl = r.value.trim();
+                break;
                 case 'prefs-project-hash':
                 hash = parseInt(r.value);
                 break;
@@ -756,12 +966,77 @@ class ZettlrBody
                 case 'prefs-pdf-titlepage':
                 titlepage = true;
                 break;
+                case 'replace-hash':
+                replaceHash = parseInt(r.value);
+                break;
+                case 'replace-search':
+                replaceSearch = r.value;
+                break;
+                case 'replace-with':
+                replaceWith = r.value;
+                break;
+                case 'replace-case-sensitive':
+                replaceCaseSensitive = true;
+                break;
+                case 'replace-whole-word':
+                replaceWholeWord = true;
+                break;
+                case 'smart-dir-name':
+                smartDirName = r.value.trim();
+                break;
+                case 'smart-dir-combine':
+                smartDirCombine = r.value;
+                break;
+                case 'smart-dir-mode':
+                smartDirModes.push(r.value);
+                break;
+                case 'smart-dir-content':
+                smartDirContents.push(r.value);
+                break;
+                case 'smart-dir-hash':
+                smartDirHash = parseInt(r.value);
+                break;
+                case 'smart-dir-edit':
+                smartDirEdit = (r.value == 'yes');
+                break;
+                case 'replace-match[]':
+                // Form: <file hash>:<index of the match>
+                let [fileHash, index] = r.value.split(':');
+                if(!replaceMatches.hasOwnProperty(fileHash)) {
+                    replaceMatches[fileHash] = [];
+                }
+                replaceMatches[fileHash].push(parseInt(index));
+                break;
             }
         }
 
         // Build the config object and send it to main
         let cfg = {};
         if(dialog == 'preferences') {
+            if(idPrefix == '') {
+                // IDs can't be recognised without a prefix
+                this.notify(trans('gui.id_prefix_empty'));
+                return;
+            }
+
+            // Profiles without a name can't be selected, and only the first
+            // one of several profiles with the same name.
+            let exportProfiles = [];
+            for(let i = 0; i < profiles.name.length; i++) {
+                let name = profiles.name[i];
+                if(name.length == 0 || exportProfiles.find((p) => { return p.name == name; })) {
+                    continue;
+                }
+                exportProfiles.push({
+                    'name': name,
+                    'format': profiles.format[i],
+                    'action': profiles.action[i],
+                    'template': profiles.template[i],
+                    'filters': profiles.filters[i].split(';').map((f) => { return f.trim(); }).filter((f) => { return f.length > 0; }),
+                    'args': profiles.args[i]
+                });
+            }
+
             cfg = {
                 'pandoc': pandoc,
                 'xelatex': xelatex,
@@ -769,6 +1044,11 @@ class ZettlrBody
                 'snippets': snippets,
                 'combinerState': combinerState,
                 'muteLines': mute,
+                'linkPreference': linkPreference,
+                'zkn': {
+                    'idPrefix': idPrefix,
+                    'idPattern': idPattern
+                },
                 'spellcheck': spellcheck,
                 'app_lang': app_lang,
                 'debug': debug,
@@ -778,7 +1058,28 @@ class ZettlrBody
                     'stripTags' : stripTags,
                     'stripLinks': stripLinks
                 },
-                'attachmentExtensions': attachments
+                'attachmentExtensions': attachments,
+                'citations': {
+                    'bibliography': bibliography,
+                    'csl': csl
+                },
+                'epub': {
+                    'cover': epubCover,
+                    'publisher': epubPublisher,
+                    'language': epubLanguage
+                },
+                'latex': {
+                    'useTemplate': latexTemplate
+                },
+                'revealjs': {
+                    'theme': revealjsTheme,
+                    'transition': revealjsTransition,
+                    'slideLevel': revealjsSlideLevel
+                },
+                'text': {
+                    'columns': textColumns
+                },
+                'exportProfiles': exportProfiles
             };
             this._renderer.saveSettings(cfg);
             this._dialog.close();
@@ -806,6 +1107,12 @@ class ZettlrBody
             console.log(dialog);
             if(dialog == 'project-properties') {
                 cfg.title = project_title;
+                cfg.format = project_format;
+                cfg.profile = project_profile;
+                cfg.citations = {
+                    'bibliography': bibliography,
+                    'csl': csl
+                };
 
                 // Convert to correct object
                 let obj = {};
@@ -825,6 +1132,35 @@ class ZettlrBody
             }
             this._renderer.saveTags(t);
             this._dialog.close();
+        } else if(dialog == 'smart-directory') {
+            if(smartDirName == '') {
+                return; // Smart directories need a name
+            }
+            let arg = { 'name': smartDirName, 'combine': smartDirCombine, 'rules': [] };
+            for(let i = 0; i < smartDirModes.length; i++) {
+                arg.rules.push({ 'mode': smartDirModes[i], 'content': smartDirContents[i] || '' });
+            }
+            // Either edit the smart directory or create one in the directory
+            arg[(smartDirEdit) ? 'edit' : 'hash'] = smartDirHash;
+            this._dialog.close();
+            this._renderer.handleEvent('dir-save-smart', arg);
+        } else if(dialog == 'replace-in-dir') {
+            if(replaceSearch == '') {
+                return; // Nothing to search for
+            }
+            this._dialog.close();
+            this._renderer.handleEvent('dir-replace-preview', {
+                'hash': replaceHash,
+                'search': replaceSearch,
+                'replace': replaceWith,
+                'options': {
+                    'caseSensitive': replaceCaseSensitive,
+                    'wholeWord': replaceWholeWord
+                }
+            });
+        } else if(dialog == 'replace-preview') {
+            this._dialog.close();
+            this._renderer.handleEvent('dir-replace-apply', replaceMatches);
         }
     }
 
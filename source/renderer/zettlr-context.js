@@ -127,6 +127,12 @@ class ZettlrCon
                     this._menu.append(new MenuItem({ 'type': 'separator' }));
                 }
 
+                if(elem.hasClass('smart-directory')) {
+                    this._menu.append(new MenuItem({ 'label': trans('menu.edit_smart_dir'), click(item, win) {
+                        that._body.getRenderer().handleEvent('dir-edit-smart', { 'hash': hash });
+                    } }));
+                }
+
                 // Only add new file, dir and virtual dir-options if directory
                 if(elem.hasClass('directory')) {
                     this._menu.append(new MenuItem({ 'label': trans('menu.new_file'), click(item, win) {
@@ -138,6 +144,9 @@ class ZettlrCon
                     this._menu.append(new MenuItem({ 'label': trans('menu.new_vd'), click(item, win) {
                         that._body.getRenderer().handleEvent('dir-new-vd', { 'hash': hash });
                     } }));
+                    this._menu.append(new MenuItem({ 'label': trans('menu.new_smart_dir'), click(item, win) {
+                        that._body.getRenderer().handleEvent('dir-new-smart', { 'hash': hash });
+                    } }));
 
                     this._menu.append(new MenuItem({ 'type': 'separator' }));
                     if(elem.hasClass('project')) {
@@ -155,6 +164,14 @@ class ZettlrCon
                             that._body.getRenderer().handleEvent('dir-new-project', { 'hash': hash });
                         } }));
                     }
+
+                    this._menu.append(new MenuItem({ 'type': 'separator' }));
+                    this._menu.append(new MenuItem({ 'label': trans('menu.check_links'), click(item, win) {
+                        that._body.getRenderer().handleEvent('dir-check-links', { 'hash': hash });
+                    } }));
+                    this._menu.append(new MenuItem({ 'label': trans('menu.replace_in_dir'), click(item, win) {
+                        that._body.getRenderer().handleEvent('dir-replace', { 'hash': hash });
+                    } }));
                 }
 
                 if(elem.hasClass('root')) {
@@ -15,13 +15,55 @@
 const fs = require('fs');
 const path = require('path');
 const {trans} = require('../common/lang/i18n.js');
+const {escapeHTML} = require('../common/zettlr-helpers.js');
 const SUPPORTED_PAPERTYPES = require('../common/data.json').papertypes;
+const REVEALJS_THEMES = require('../common/data.json').revealjsThemes;
+const REVEALJS_TRANSITIONS = require('../common/data.json').revealjsTransitions;
+// The formats of projects and export profiles
+const EXPORT_FORMATS = [ 'pdf', 'html', 'odt', 'docx', 'epub', 'tex', 'revealjs', 'txt' ];
+// What happens with the result of an export profile
+const EXPORT_ACTIONS = [ 'open', 'reveal', 'none' ];
 const TAB_DIALOGS = [
     'pdf-preferences',
     'preferences',
     'project-properties'
 ];
 
+/**
+ * Returns the options of a select element.
+ * @param  {Array}    values   The values of the options
+ * @param  {String}   selected The value of the selected option
+ * @param  {Function} label    A function returning the label of a value
+ * @return {String}            The options.
+ */
+function selectOptions(values, selected, label)
+{
+    return values.map((value) => {
+        let sel = (value == selected) ? ' selected="selected"' : '';
+        return `<option value="${escapeHTML(value)}"${sel}>${label(value)}</option>`;
+    }).join('');
+}
+
+/**
+ * Returns the fields of an export profile for the preferences.
+ * @param  {Object} profile The profile, containing name, format, template, filters, args and action
+ * @return {String}         The fields.
+ */
+function exportProfileFields(profile)
+{
+    let formats = selectOptions(EXPORT_FORMATS, profile.format, (f) => { return trans('dialog.export.alt_' + f); });
+    let actions = selectOptions(EXPORT_ACTIONS, profile.action, (a) => { return trans('dialog.preferences.profiles.action_' + a); });
+    return `<div class="export-profile">
+    <input type="text" name="pref-profile-name" value="${escapeHTML(profile.name)}" placeholder="${trans('dialog.preferences.profiles.name')}">
+    <select name="pref-profile-format">${formats}</select>
+    <select name="pref-profile-action">${actions}</select>
+    <button type="button" onclick="$(this).parent().detach()">-</button>
+    <input type="text" name="pref-profile-template" value="${escapeHTML(profile.template)}" placeholder="${trans('dialog.preferences.profiles.template')}">
+    <input type="text" name="pref-profile-filters" value="${escapeHTML(profile.filters.join('; '))}" placeholder="${trans('dialog.preferences.profiles.filters')}">
+    <input type="text" name="pref-profile-args" value="${escapeHTML(profile.args)}" placeholder="${trans('dialog.preferences.profiles.args')}">
+    </div>`;
+}
+
 /**
  * Dialog errors may occur.
  * @param       {String} [msg=''] An additional error message.
@@ -159,6 +201,10 @@ class ZettlrDialog
             replacements.push('%COMBINER_EXPANDED%|' + cmbStateExp);
             replacements.push('%COMBINER_COLLAPSED%|' + cmbStateCol);
             replacements.push('%MUTE_LINES%|' + mute)
+            replacements.push('%LINK_PREF_ID%|' + ((obj.linkPreference == 'id') ? 'checked="checked"' : ''));
+            replacements.push('%LINK_PREF_TITLE%|' + ((obj.linkPreference == 'title') ? 'checked="checked"' : ''));
+            replacements.push('%ID_PREFIX%|' + escapeHTML(obj.zkn.idPrefix));
+            replacements.push('%ID_PATTERN%|' + escapeHTML(obj.zkn.idPattern));
             replacements.push('%DEBUG%|' + debug);
             replacements.push('%EXPORT_DEST_TEMP%|' + exportTemp);
             replacements.push('%EXPORT_DEST_CWD%|' + exportCwd);
@@ -169,6 +215,34 @@ class ZettlrDialog
             replacements.push('%EXPORT_STRIP_LINKS_NO%|' + stripLinksNo);
             replacements.push('%PANDOC%|' + obj.pandoc);
             replacements.push('%XELATEX%|' + obj.xelatex);
+            replacements.push('%CITATIONS_BIBLIOGRAPHY%|' + escapeHTML(obj.citations.bibliography));
+            replacements.push('%CITATIONS_CSL%|' + escapeHTML(obj.citations.csl));
+            replacements.push('%EPUB_COVER%|' + escapeHTML(obj.epub.cover));
+            replacements.push('%EPUB_PUBLISHER%|' + escapeHTML(obj.epub.publisher));
+            replacements.push('%EPUB_LANGUAGE%|' + escapeHTML(obj.epub.language));
+            replacements.push('%LATEX_TEMPLATE%|' + ((obj.latex.useTemplate) ? 'checked="checked"' : ''));
+            replacements.push('%TEXT_COLUMNS%|' + obj.text.columns);
+            let themes = '';
+            for(let theme of REVEALJS_THEMES) {
+                let sel = (theme == obj.revealjs.theme) ? ' selected="selected"' : '';
+                themes += `<option value="${theme}"${sel}>${theme}</option>`;
+            }
+            replacements.push('%REVEALJS_THEMES%|' + themes);
+            let transitions = '';
+            for(let transition of REVEALJS_TRANSITIONS) {
+                let sel = (transition == obj.revealjs.transition) ? ' selected="selected"' : '';
+                transitions += `<option value="${transition}"${sel}>${trans('dialog.preferences.formats.transition_' + transition)}</option>`;
+            }
+            replacements.push('%REVEALJS_TRANSITIONS%|' + transitions);
+            let slideLevel = '';
+            for(let i = 1; i < 7; i++) {
+                let sel = (obj.revealjs.slideLevel == i) ? ' selected="selected"' : '';
+                slideLevel += `<option value="${i}"${sel}>${i}</option>`;
+            }
+            replacements.push('%REVEALJS_SLIDE_LEVEL%|' + slideLevel);
+            replacements.push('%EXPORT_PROFILES%|' + obj.exportProfiles.map(exportProfileFields).join('\n'));
+            // The fields added by the + button
+            replacements.push('%NEW_EXPORT_PROFILE%|' + exportProfileFields({ 'name': '', 'format': 'pdf', 'template': '', 'filters': [], 'args': '', 'action': 'open' }).replace(/\n/g, ''));
             let spellcheck = '';
             for(let l in obj.spellcheck) {
                 let sel = (obj.spellcheck[l]) ? 'checked="checked"' : '';
@@ -206,6 +280,18 @@ class ZettlrDialog
             replacements.push('%GENERATE_TOC%|' + genToc);
             replacements.push('%GENERATE_TITLEPAGE%|' + genTitle);
             replacements.push('%TOCDEPTH%|' + tocdepth);
+            replacements.push('%PREFS_BIBLIOGRAPHY%|' + escapeHTML(obj.citations.bibliography));
+            replacements.push('%PREFS_CSL%|' + escapeHTML(obj.citations.csl));
+            let formats = '';
+            for(let format of EXPORT_FORMATS) {
+                let sel = (format == obj.format) ? ' selected="selected"' : '';
+                formats += `<option value="${format}"${sel}>${trans('dialog.export.alt_' + format)}</option>`;
+            }
+            replacements.push('%PROJECT_FORMATS%|' + formats);
+            let profiles = this._parent.getRenderer().getExportProfiles().map((profile) => { return profile.name; });
+            replacements.push('%PROJECT_PROFILES%|' + selectOptions([ '' ].concat(profiles), obj.profile, (name) => {
+                return (name) ? escapeHTML(name) : trans('dialog.preferences.project.no_profile');
+            }));
             case 'pdf-preferences':
             replacements.push('%PREFS_AUTHOR%|' + obj.pdf.author);
             replacements.push('%PREFS_KEYWORDS%|' + obj.pdf.keywords);
@@ -263,6 +349,92 @@ class ZettlrDialog
             replacements.push('%RELEASEURL%|' + obj.releaseURL);
             break;
 
+            case 'link-report':
+            replacements.push('%DIRNAME%|' + escapeHTML(obj.dir));
+            for(let type of ['broken', 'duplicates', 'orphans']) {
+                let list = '';
+                for(let entry of obj[type]) {
+                    list += `<a href="#" data-hash="${entry.hash}" data-line="${entry.line}">`;
+                    list += `${escapeHTML(entry.name)}:${entry.line + 1}`;
+                    if(entry.text) {
+                        list += ` <code>${escapeHTML(entry.text)}</code>`;
+                    }
+                    list += '</a>\n';
+                }
+                if(list == '') {
+                    list = `<p>${trans('dialog.link_report.no_' + type)}</p>`;
+                }
+                replacements.push('%' + type.toUpperCase() + '%|' + list);
+            }
+            break;
+
+            case 'export-error':
+            replacements.push('%TITLE%|' + escapeHTML(obj.title));
+            replacements.push('%MESSAGE%|' + escapeHTML(obj.message));
+            if(obj.details) {
+                replacements.push('%DETAILS%|' + `<h2>${trans('dialog.export_error.details')}</h2><pre class="export-details">${escapeHTML(obj.details)}</pre>`);
+            } else {
+                replacements.push('%DETAILS%|');
+            }
+            break;
+
+            case 'smart-directory':
+            replacements.push('%NAME%|' + escapeHTML(obj.name));
+            replacements.push('%HASH%|' + obj.hash);
+            replacements.push('%EDIT%|' + ((obj.edit) ? 'yes' : ''));
+            replacements.push('%COMBINE_AND%|' + ((obj.combine != 'OR') ? 'checked="checked"' : ''));
+            replacements.push('%COMBINE_OR%|' + ((obj.combine == 'OR') ? 'checked="checked"' : ''));
+            let rules = '';
+            for(let rule of obj.rules) {
+                rules += '<div><select name="smart-dir-mode">';
+                for(let mode of ['contains', 'filename_contains', 'has_tag']) {
+                    let sel = (rule.mode == mode) ? ' selected="selected"' : '';
+                    rules += `<option value="${mode}"${sel}>${trans('dialog.smart_dir.mode_' + mode)}</option>`;
+                }
+                rules += `</select><input type="text" name="smart-dir-content" value="${escapeHTML(rule.content)}">`;
+                rules += '<button type="button" onclick="removeSmartDirRule(this)">-</button></div>\n';
+            }
+            replacements.push('%RULES%|' + rules);
+            break;
+
+            case 'replace-in-dir':
+            replacements.push('%DIRNAME%|' + escapeHTML(obj.name));
+            replacements.push('%HASH%|' + obj.hash);
+            break;
+
+            case 'replace-preview':
+            replacements.push('%DIRNAME%|' + escapeHTML(obj.dir));
+            let matches = '';
+            for(let file of obj.files) {
+                matches += `<h3>${escapeHTML(file.name)}</h3>\n`;
+                for(let i = 0; i < file.matches.length; i++) {
+                    let m = file.matches[i];
+                    let id = `replace-match-${file.hash}-${i}`;
+                    matches += `<div><input type="checkbox" value="${file.hash}:${i}" name="replace-match[]" id="${id}" checked="checked">`;
+                    matches += `<label for="${id}">${m.line + 1}: ${escapeHTML(m.before)}<del>${escapeHTML(m.text)}</del>`;
+                    matches += `<ins>${escapeHTML(m.replacement)}</ins>${escapeHTML(m.after)}</label></div>\n`;
+                }
+            }
+            replacements.push('%MATCHES%|' + matches);
+            break;
+
+            case 'replace-report':
+            for(let type of ['changed', 'skipped']) {
+                let list = '';
+                for(let entry of obj[type]) {
+                    list += `<a href="#" data-hash="${entry.hash}" data-line="${entry.line}">${escapeHTML(entry.name)}`;
+                    if(entry.count) {
+                        list += ` <code>${trans('dialog.replace.count', entry.count)}</code>`;
+                    }
+                    list += '</a>\n';
+                }
+                if(list == '') {
+                    list = `<p>${trans('dialog.replace.no_' + type)}</p>`;
+                }
+                replacements.push('%' + type.toUpperCase() + '%|' + list);
+            }
+            break;
+
             default:
             throw new DialogError(trans('dialog.error.unknown_dialog', dialog));
             break;
@@ -296,6 +468,14 @@ class ZettlrDialog
             this.close();
         });
 
+        // Entries of the link report open the file at the given line
+        this._modal.find('.link-report a').on('click', (e) => {
+            e.preventDefault();
+            let elem = $(e.currentTarget);
+            this._parent.getRenderer().requestFileAtLine(parseInt(elem.attr('data-hash')), parseInt(elem.attr('data-line')));
+            this.close();
+        });
+
         // Don't bubble so that the user may click on the dialog without
         // closing the whole modal.
         this._modal.find('.dialog').on('click', (e) => { e.stopPropagation(); });
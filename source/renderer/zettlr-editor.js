@@ -14,6 +14,7 @@
 
 const path = require('path');
 const ZettlrPopup = require('./zettlr-popup.js');
+const {trans} = require('../common/lang/i18n.js');
 
 // First codemirror addons
 require('codemirror/addon/mode/overlay');
@@ -23,6 +24,7 @@ require('codemirror/addon/display/fullscreen');
 require('codemirror/addon/search/searchcursor');
 require('codemirror/addon/edit/closebrackets');
 require('codemirror/addon/scroll/annotatescrollbar');
+require('codemirror/addon/hint/show-hint');
 
 // Modes
 require('codemirror/mode/markdown/markdown');
@@ -33,13 +35,16 @@ require('./assets/codemirror/zettlr-plugin-markdown-shortcuts.js');
 require('./assets/codemirror/zettlr-modes-spellchecker-zkn.js');
 require('./assets/codemirror/zettlr-plugin-footnotes.js');
 
-const {generateId} = require('../common/zettlr-helpers.js');
+const {generateUniqueId, getIdRE, getTransclusionRE, fuzzyMatch,
+    parseSearchTerm, isWholeWord, expandReplacement} = require('../common/zettlr-helpers.js');
 
 // Finally CodeMirror itself
 const CodeMirror = require('codemirror');
 
 // The timeout after which a "save"-command is triggered to automatically save changes
 const SAVE_TIMOUT = require('../common/data.json').poll_time;
+// The maximum number of suggestions displayed while autocompleting
+const MAX_HINTS = 50;
 
 /**
 * This class propably has the most `require`s in it, because it loads all
@@ -61,6 +66,7 @@ class ZettlrEditor
         this._renderer = parent;
         this._div = $('#editor');
         this._fntooltipbubble = $('<div>').addClass('fn-panel');
+        this._previewTerm = null;           // The link target currently previewed in the tooltip
         this._positions = [];               // Saves the positions of the editor
         this._currentHash = null;           // Needed for positions
 
@@ -71,22 +77,30 @@ class ZettlrEditor
         this._inlineImages = [];            // Image widgets that are currently rendered
         this._inlineLinks = [];             // Inline links that are currently rendered
         this._inlineTasks = [];             // Tasks that are present in the document.
+        this._inlineTransclusions = [];     // Transcluded notes that are currently rendered
 
         this._prevSelections = [];          // Used to save all selections before a command is run to re-select
 
         this._currentLocalSearch = '';      // Saves a current local search, to re-start search on text field change
+        this._localSearchOptions = {};      // The options (caseSensitive, wholeWord) of the current local search
+        this._localSearchTerm = null;       // The parsed term of the current local search
+        this._localSearchMatch = null;      // The last match of the search cursor
         this._markedResults = [];           // Contains the search results marked in the text
         this._scrollbarAnnotations = null;  // Contains an object to mark search results on the scrollbar
         this._searchCursor = null;          // A search cursor while searching
 
         this._mute = true;                  // Should the editor mute lines while in distraction-free mode?
+        this._linkPreference = 'id';        // Should autocompleted links contain the ID or the title?
+        this._citations = [];               // The entries of the bibliography of the open file
+        this._zkn = { 'idPrefix': '@ID:', 'idPattern': '%Y%M%D%h%m%s' }; // The format of IDs
 
         // These are used for calculating a correct word count
         this._blockElements = require('../common/data.json').block_elements;
 
         this._cm = CodeMirror.fromTextArea(document.getElementById('cm-text'), {
             mode: {
-                name: 'markdown-zkn' // This will automatically pull in spellchecker and this gfm mode
+                name: 'markdown-zkn', // This will automatically pull in spellchecker and this gfm mode
+                idPrefix: this._zkn.idPrefix
             },
             theme: 'zettlr',
             autofocus: false,
@@ -122,6 +136,30 @@ class ZettlrEditor
             }
         });
 
+        // Begin autocompletion as soon as a link, a tag or a citation is started
+        this._cm.on('inputRead', (cm, changeObj) => {
+            if(cm.state.completionActive) {
+                return;
+            }
+
+            let cur = cm.getCursor();
+            let before = cm.getRange({ 'line': cur.line, 'ch': 0 }, cur);
+            let isLink = /\[\[$/.test(before);
+            let isCitation = this._citations.length > 0 && /\[(?:[^\[\]]*[\s;])?-?@$/.test(before);
+            // A "#" at the beginning of a line may also start a heading, so
+            // tags are only completed there as soon as the next character follows.
+            let isTag = /\s#$|^#[^\s#]$/.test(before);
+            if(isLink || isCitation || isTag) {
+                cm.showHint({
+                    'hint': (cm) => { return this._hint(cm); },
+                    'completeSingle': false,
+                    // Titles may contain spaces, tags and citekeys may not.
+                    // Citekeys may contain colons, though.
+                    'closeCharacters': (isLink) ? /\]/ : (isCitation) ? /[\s()\[\]{};,]/ : /[\s()\[\]{};:>,]/
+                });
+            }
+        });
+
         // On cursor activity (not the mouse one but the text one), render all
         // things we should replace in the sense of render directly in the text
         // such as images, links, other stuff.
@@ -129,6 +167,7 @@ class ZettlrEditor
             // This event fires on either editor changes (because, obviously the
             // cursor changes its position as well then) or when the cursor moves.
             this._renderImages();
+            this._renderTransclusions();
             this._renderLinks();
             this._renderTasks();
             if(this._cm.getOption('fullScreen') && this._mute) {
@@ -156,9 +195,13 @@ class ZettlrEditor
         this._cm.getWrapperElement().addEventListener('mousemove', (e) => {
             let t = $(e.target);
             if(t.hasClass('cm-link') && t.text().indexOf('^') === 0) {
+                this._previewTerm = null;
                 this._fntooltip(t);
+            } else if(t.hasClass('cm-zkn-link') || t.hasClass('cm-zkn-id')) {
+                this._linktooltip(this._cm.coordsChar({ 'left': e.clientX, 'top': e.clientY }, 'window'));
             } else {
                 this._fntooltipbubble.detach();
+                this._previewTerm = null;
             }
         });
 
@@ -287,6 +330,114 @@ class ZettlrEditor
         }
     }
 
+    /**
+     * Renders all transclusions in the form of ![[ID]] or ![[Title]] as
+     * read-only widgets containing the transcluded note. Transclusions that
+     * fill a whole line are displayed as blocks, all others inline.
+     */
+    _renderTransclusions()
+    {
+        let transclusionRE = getTransclusionRE();
+        let i = 0;
+        let match;
+
+        // First remove transclusions that may not exist anymore.
+        do {
+            if(!this._inlineTransclusions[i]) {
+                continue;
+            }
+            if(this._inlineTransclusions[i].marker.find() === undefined) {
+                this._inlineTransclusions.splice(i, 1);
+            } else {
+                i++;
+            }
+        } while(i < this._inlineTransclusions.length);
+
+        let markers = this._inlineTransclusions.map((t) => { return t.marker; });
+
+        // Now render all potential new transclusions
+        for(let i = 0; i < this._cm.doc.lineCount(); i++)
+        {
+            let line = this._cm.doc.getLine(i);
+            transclusionRE.lastIndex = 0;
+
+            while((match = transclusionRE.exec(line)) != null) {
+                let curFrom = { 'line': i, 'ch': match.index };
+                let curTo = { 'line': i, 'ch': match.index + match[0].length };
+
+                let cur = this._cm.doc.getCursor('from');
+                if(cur.line === i && cur.ch >= curFrom.ch && cur.ch <= curTo.ch) {
+                    // Cursor is in the transclusion: Do not render.
+                    continue;
+                }
+
+                // Has this transclusion already been rendered?
+                let marks = this._cm.doc.findMarks(curFrom, curTo);
+                if(marks.some((m) => { return markers.includes(m); })) {
+                    continue;
+                }
+
+                let term = match[1].trim();
+                let elem = document.createElement((match[0].length == line.length) ? 'div' : 'span');
+                elem.className = 'transclusion';
+                let textMarker = this._cm.doc.markText(curFrom, curTo, {
+                    'clearOnEnter': true,
+                    'replacedWith': elem,
+                    'handleMouseEvents': true
+                });
+                // Clicking the widget reveals the transclusion for editing
+                elem.onclick = (e) => { textMarker.clear(); };
+
+                this._inlineTransclusions.push({ 'term': term, 'marker': textMarker, 'elem': elem, 'hashes': [] });
+                // The content will be filled in by showTransclusion()
+                this._renderer.send('file-get-transclusion', term);
+            }
+        }
+    }
+
+    /**
+     * Requests the contents of all transclusion widgets displaying a file again.
+     * @param  {Integer} hash The hash of the file that has been changed
+     */
+    refreshTransclusions(hash)
+    {
+        let terms = [];
+        for(let t of this._inlineTransclusions) {
+            if(t.hashes.includes(hash) && !terms.includes(t.term)) {
+                terms.push(t.term);
+            }
+        }
+
+        for(let term of terms) {
+            this._renderer.send('file-get-transclusion', term);
+        }
+    }
+
+    /**
+     * Fills the contents of a transcluded note into all widgets displaying it.
+     * @param  {Object} transclusion An object containing term, title and content
+     */
+    showTransclusion(transclusion)
+    {
+        for(let t of this._inlineTransclusions) {
+            if(t.term != transclusion.term) {
+                continue;
+            }
+
+            t.hashes = transclusion.hashes;
+
+            if(transclusion.title == null) {
+                $(t.elem).addClass('not-found').html(`<em>${trans('gui.transclusion_not_found')}</em>`);
+            } else {
+                $(t.elem).removeClass('not-found').empty().append(
+                    $('<strong>').text(transclusion.title),
+                    $('<span>').text(transclusion.content)
+                );
+            }
+            t.marker.changed();
+        }
+    }
+
     /**
      * Renders all links in the document into clickable links.
      */
@@ -564,6 +715,9 @@ class ZettlrEditor
         this.unmarkResults(); // Clear potential previous marks
         let sbannotate = [];
         for(let result of res) {
+            if(!result.from) {
+                continue; // Matches of the file name or filter-only results
+            }
             sbannotate.push({ 'from': result.from, 'to': result.to });
             this._markedResults.push(this._cm.markText(result.from, result.to, {className: "search-result"}));
         }
@@ -622,6 +776,95 @@ class ZettlrEditor
         }
     }
 
+    /**
+     * Sets whether autocompleted links should contain the ID or the title.
+     * @param {String} pref Either "id" or "title"
+     */
+    setLinkPreference(pref)
+    {
+        this._linkPreference = pref;
+    }
+
+    /**
+     * Sets the entries of the bibliography that citations are autocompleted from.
+     * @param {Array} entries An array of objects containing id, author, title and year
+     */
+    setCitations(entries)
+    {
+        this._citations = entries;
+    }
+
+    /**
+     * Computes the autocompletion suggestions for the link, tag or citation in
+     * front of the cursor. This function is called by the show-hint addon.
+     * @param  {CodeMirror} cm The CodeMirror instance
+     * @return {Object}    An object containing list, from and to, or null.
+     */
+    _hint(cm)
+    {
+        let cur = cm.getCursor();
+        let before = cm.getRange({ 'line': cur.line, 'ch': 0 }, cur);
+        let after = cm.getLine(cur.line).substr(cur.ch);
+        let linkStart = before.lastIndexOf('[[');
+        let tag = /(?:^|\s)#([^\s#]*)$/.exec(before);
+        let citation = /\[(?:[^\[\]]*[\s;])?-?@([^\s@\[\];,]*)$/.exec(before);
+        let list = [];
+        let from = null;
+
+        if(linkStart > -1 && before.indexOf(']]', linkStart) < 0) {
+            let term = before.substr(linkStart + 2);
+            // Close the link, if autoCloseBrackets has not done it already
+            let close = (after.indexOf(']]') == 0) ? '' : ']]';
+            for(let file of this._renderer.getAllFiles()) {
+                let title = path.basename(file.name, file.ext);
+                let score = Math.max(fuzzyMatch(term, title), (file.id) ? fuzzyMatch(term, file.id) : -1);
+                if(score < 0) {
+                    continue;
+                }
+                let target = (this._linkPreference == 'id' && file.id) ? file.id : title;
+                list.push({
+                    'text': target + close,
+                    'displayText': (file.id) ? `${title} (${this._zkn.idPrefix}${file.id})` : title,
+                    'score': score
+                });
+            }
+            from = { 'line': cur.line, 'ch': linkStart + 2 };
+        } else if(tag) {
+            // Known tags are those with a colour and those found in the files
+            let tags = this._renderer.getPreview().getTags().map((t) => { return t.name; });
+            for(let file of this._renderer.getAllFiles()) {
+                tags = tags.concat(file.tags);
+            }
+            for(let t of [...new Set(tags)]) {
+                let score = fuzzyMatch(tag[1], t);
+                if(score >= 0) {
+                    list.push({ 'text': t, 'displayText': '#' + t, 'score': score });
+                }
+            }
+            from = { 'line': cur.line, 'ch': cur.ch - tag[1].length };
+        } else if(citation && this._citations.length > 0) {
+            // Citekeys are matched by key, authors and title
+            for(let entry of this._citations) {
+                let score = Math.max(fuzzyMatch(citation[1], entry.id), fuzzyMatch(citation[1], `${entry.author} ${entry.title}`));
+                if(score < 0) {
+                    continue;
+                }
+                list.push({
+                    'text': entry.id,
+                    'displayText': `${entry.id}: ${entry.author} (${entry.year}) ${entry.title}`,
+                    'score': score
+                });
+            }
+            from = { 'line': cur.line, 'ch': cur.ch - citation[1].length };
+        } else {
+            return null;
+        }
+
+        list.sort((a, b) => { return b.score - a.score; });
+
+        return { 'list': list.slice(0, MAX_HINTS), 'from': from, 'to': cur };
+    }
+
     /**
      * Sets the variable that controls the muting of lines
      * @param {Boolean} state True or false, depending on whether or not we should mute the lines in distraction free mode
@@ -757,20 +1000,56 @@ class ZettlrEditor
      */
     insertId()
     {
+        let id = this._generateUniqueId();
+        if(id == null) {
+            this._renderer.getBody().notify(trans('gui.id_not_unique'));
+            return;
+        }
+
         if(!this._cm.somethingSelected()) {
             // Don't replace selections
-            this._cm.replaceSelection(generateId());
+            this._cm.replaceSelection(id);
             this._cm.focus();
         } else {
             // Save and afterwards retain the selections
             this._prevSelections = this._cm.doc.listSelections();
             this._cm.setCursor({'line': this._cm.doc.lastLine(), 'ch': this._cm.doc.getLine(this._cm.doc.lastLine()).length });
-            this._cm.replaceSelection('\n\n'+generateId()); // Insert at the end of document
+            this._cm.replaceSelection('\n\n'+id); // Insert at the end of document
             this._cm.doc.setSelections(this._prevSelections);
             this._prevSelections = [];
         }
     }
 
+    /**
+     * Generates an ID that is neither used by any file in the open paths nor
+     * anywhere in the current document.
+     * @return {String} The ID including the prefix, or null, if every ID the pattern allows already exists.
+     */
+    _generateUniqueId()
+    {
+        let existing = [].concat(...this._renderer.getAllFiles().map((f) => { return f.ids; }));
+        let idRE = getIdRE(this._zkn.idPrefix);
+        let match;
+        while((match = idRE.exec(this._cm.getValue())) != null) {
+            existing.push(match[1]);
+        }
+
+        return generateUniqueId(existing, this._zkn.idPattern, this._zkn.idPrefix);
+    }
+
+    /**
+     * Sets the format of IDs and re-highlights the document.
+     * @param {Object} zkn An object containing idPrefix and idPattern
+     */
+    setZknOptions(zkn)
+    {
+        this._zkn = zkn;
+        this._cm.setOption('mode', {
+            name: 'markdown-zkn',
+            idPrefix: zkn.idPrefix
+        });
+    }
+
     /**
     * Displays the footnote content for a given footnote (element)
     * @param  {jQuery} element The footnote element
@@ -809,6 +1088,64 @@ class ZettlrEditor
         this._div.append(this._fntooltipbubble);
     }
 
+    /**
+     * Requests a preview of the note a link or an ID at the given position
+     * refers to. The tooltip is displayed once main has answered.
+     * @param  {Object} pos The position in the document (line and ch)
+     */
+    _linktooltip(pos)
+    {
+        let line = this._cm.doc.getLine(pos.line);
+        let linkRE = /\[\[(.*?)\]\]/g;
+        let idRE = getIdRE(this._zkn.idPrefix);
+        let term = null;
+        let match;
+
+        for(let re of [ linkRE, idRE ]) {
+            while((match = re.exec(line)) != null) {
+                if(match.index <= pos.ch && pos.ch <= match.index + match[0].length) {
+                    term = match[1].replace(/\]+$/, '').trim();
+                    break;
+                }
+            }
+            if(term) {
+                break;
+            }
+        }
+
+        // Don't request the same preview on every mouse move
+        if(!term || term == this._previewTerm) {
+            return;
+        }
+
+        this._previewTerm = term;
+        this._renderer.send('file-get-preview', term);
+    }
+
+    /**
+     * Displays the preview of a linked note in the tooltip.
+     * @param  {Object} preview An object containing term, title and content.
+     */
+    showLinkPreview(preview)
+    {
+        // The mouse may have left the link in the meantime
+        if(preview.term != this._previewTerm) {
+            return;
+        }
+
+        if(preview.title == null) {
+            this._fntooltipbubble.html(`<em>${trans('gui.link_preview_not_found')}</em>`);
+        } else {
+            this._fntooltipbubble.empty().append(
+                $('<strong>').text(preview.title),
+                $('<p>').text(preview.content)
+            );
+        }
+
+        this._fntooltipbubble.attr('style', 'bottom:0; left:0; right:0; z-index:10000');
+        this._div.append(this._fntooltipbubble);
+    }
+
     /**
      * This displays a small popup to allow editing the text from within the text, without the need to scroll.
      * @param  {jQuery} elem The (jQuery) encapsulated footnote reference.
@@ -864,6 +1201,34 @@ class ZettlrEditor
         return toc;
     }
 
+    /**
+     * Returns the line of a heading or a block anchor (a paragraph ending in
+     * ^blockid) in the current document.
+     * @param  {Object} anchor An object containing either heading or block
+     * @return {Number}        The line number, or -1 if the anchor does not exist.
+     */
+    findAnchor(anchor)
+    {
+        if(anchor.heading) {
+            for(let entry of this.buildTOC()) {
+                // Ignore explicit identifiers such as {#intro}
+                let text = entry.text.replace(/\s*\{#[^}]*\}\s*$/, '').trim();
+                if(text.toLowerCase() == anchor.heading.toLowerCase()) {
+                    return parseInt(entry.line);
+                }
+            }
+        } else if(anchor.block) {
+            let blockRE = new RegExp('\\s\\^' + anchor.block + '\\s*$');
+            for(let i = 0; i < this._cm.doc.lineCount(); i++) {
+                if(blockRE.test(this._cm.doc.getLine(i))) {
+                    return i;
+                }
+            }
+        }
+
+        return -1;
+    }
+
     /**
     * Small function that jumps to a specific line in the editor.
     * @param  {Integer} line The line to pull into view
@@ -876,6 +1241,18 @@ class ZettlrEditor
         this._cm.refresh();
     }
 
+    /**
+     * Selects a range and scrolls it into view, e.g. a search hit.
+     * @param  {Object} from The start of the range, containing line and ch
+     * @param  {Object} to   The end of the range, containing line and ch
+     */
+    selectRange(from, to)
+    {
+        this._cm.doc.setSelection(from, to);
+        this._cm.scrollIntoView({ 'from': from, 'to': to }, 100);
+        this._cm.focus();
+    }
+
     /**
     * Toggles the theme.
     * @return {ZettlrEditor} Chainability.
@@ -922,54 +1299,104 @@ class ZettlrEditor
 
     /**
      * Find the next occurrence of a given term
-     * @param  {String} [term] The term to search for
+     * @param  {String} [term] The term to search for, may be a /regular expression/
+     * @param  {Object} [options={}] May contain caseSensitive and wholeWord
      */
-    searchNext(term)
+    searchNext(term, options = {})
     {
-        let cur = this._cm.getCursor();
-
-        if(this._searchCursor == null || this._currentLocalSearch != term) {
+        if(this._searchCursor == null || this._currentLocalSearch != term ||
+            JSON.stringify(this._localSearchOptions) != JSON.stringify(options)) {
             // (Re)start search in case there was none or the term has changed
-            this.startSearch(term);
+            if(!this.startSearch(term, options)) {
+                return;
+            }
         }
 
-        // We need a regex because only this way we can case-insensitively search
-        term = new RegExp(term, 'i');
-
-        if(this._searchCursor.findNext()) {
+        if(this._findNext()) {
             this._cm.setSelection(this._searchCursor.from(), this._searchCursor.to());
         } else {
             // Start from beginning
-            this._searchCursor = this._cm.getSearchCursor(term, {'line': 0, 'ch': 0});
-            if(this._searchCursor.findNext()) {
+            this._searchCursor = this._cm.getSearchCursor(this._localSearchTerm.regex, {'line': 0, 'ch': 0});
+            if(this._findNext()) {
                 this._cm.setSelection(this._searchCursor.from(), this._searchCursor.to());
             }
         }
     }
 
-    startSearch(term)
+    /**
+     * Starts a new search and marks all matches.
+     * @param  {String} term         The term to search for, may be a /regular expression/
+     * @param  {Object} [options={}] May contain caseSensitive and wholeWord
+     * @return {Boolean}             False, if the term is an invalid regular expression.
+     */
+    startSearch(term, options = {})
     {
+        try {
+            this._localSearchTerm = parseSearchTerm(term, options.caseSensitive);
+        } catch(e) {
+            this._renderer.getBody().notify(trans('gui.search_invalid_regex', e.message));
+            this.stopSearch();
+            return false;
+        }
+
         // Create a new search cursor
-        this._searchCursor = this._cm.getSearchCursor(term, this._cm.getCursor());
+        this._searchCursor = this._cm.getSearchCursor(this._localSearchTerm.regex, this._cm.getCursor());
         this._currentLocalSearch = term;
+        this._localSearchOptions = options;
 
         // Find all matches
-        let tRE = new RegExp(term, 'gi');
+        let tRE = this._localSearchTerm.regex;
         let res = [];
         let match = null;
         for(let i = 0; i < this._cm.lineCount(); i++) {
             let l = this._cm.getLine(i);
             tRE.lastIndex = 0;
             while((match = tRE.exec(l)) != null) {
+                if(match[0].length == 0) {
+                    tRE.lastIndex++; // Don't get stuck on empty matches
+                    continue;
+                }
+                if(options.wholeWord && !isWholeWord(l, match.index, match.index + match[0].length)) {
+                    continue;
+                }
                 res.push({
                     'from': { 'line': i, 'ch': match.index },
-                    'to':   { 'line': i, 'ch': match.index + term.length }
+                    'to':   { 'line': i, 'ch': match.index + match[0].length }
                 });
             }
         }
 
         // Mark these in document and on the scroll bar
         this._mark(res);
+        return true;
+    }
+
+    /**
+     * Advances the search cursor to the next match that satisfies the options.
+     * @return {Boolean} True, if a match has been found.
+     */
+    _findNext()
+    {
+        while((this._localSearchMatch = this._searchCursor.findNext())) {
+            let from = this._searchCursor.from();
+            let to = this._searchCursor.to();
+            if(!this._localSearchOptions.wholeWord || isWholeWord(this._cm.getLine(from.line), from.ch, (to.line == from.line) ? to.ch : this._cm.getLine(from.line).length)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Replaces $& and $1 to $9 with the last match, if it was found using a
+     * regular expression.
+     * @param  {String} str The replacement as entered by the user
+     * @return {String}     The replacement to be inserted.
+     */
+    _expandReplacement(str)
+    {
+        return expandReplacement(str, this._localSearchMatch, this._localSearchTerm.literal);
     }
 
     /**
@@ -988,8 +1415,8 @@ class ZettlrEditor
      */
     replaceNext(str_replace)
     {
-        if(this._searchCursor != null) {
-            this._searchCursor.replace(str_replace);
+        if(this._searchCursor != null && this._localSearchMatch) {
+            this._searchCursor.replace(this._expandReplacement(str_replace));
             return true;
         }
         return false;
@@ -997,17 +1424,21 @@ class ZettlrEditor
 
     /**
      * Replace all occurrences of a given string with a given replacement
-     * @param  {String} searchWhat  The string to be searched for
+     * @param  {String} searchWhat  The string to be searched for, may be a /regular expression/
      * @param  {String} replaceWhat Replace with this string
+     * @param  {Object} [options={}] May contain caseSensitive and wholeWord
      */
-    replaceAll(searchWhat, replaceWhat)
+    replaceAll(searchWhat, replaceWhat, options = {})
     {
-        searchWhat = new RegExp(searchWhat, 'i');
-        this._searchCursor = this._cm.getSearchCursor(searchWhat, {'line':0,'ch':0});
-        while(this._searchCursor.findNext()) {
-            this._searchCursor.replace(replaceWhat);
+        if(!this.startSearch(searchWhat, options)) {
+            return;
         }
-        this._searchCursor = null;
+
+        this._searchCursor = this._cm.getSearchCursor(this._localSearchTerm.regex, {'line':0,'ch':0});
+        while(this._findNext()) {
+            this._searchCursor.replace(this._expandReplacement(replaceWhat));
+        }
+        this.stopSearch();
     }
 
     /**
@@ -1028,6 +1459,28 @@ class ZettlrEditor
     */
     isClean() { return this._cm.doc.isClean(); }
 
+    /**
+     * Returns the key binding of a CodeMirror command on the current platform.
+     * @param  {String} cmd The command, e.g. markdownBold
+     * @return {String}     The key, e.g. Ctrl-B, or an empty string.
+     */
+    getKeyBinding(cmd)
+    {
+        let isMac = (process.platform === 'darwin');
+        let keys = [];
+        for(let map of [ this._cm.getOption('extraKeys'), CodeMirror.keyMap[this._cm.getOption('keyMap')] ]) {
+            for(let key in map) {
+                // Cmd only exists on macOS
+                if(map[key] === cmd && (isMac || key.indexOf('Cmd-') < 0)) {
+                    keys.push(key);
+                }
+            }
+        }
+
+        // Mac users expect Cmd instead of Ctrl
+        return keys.find((key) => { return key.indexOf('Cmd-') > -1; }) || keys[0] || '';
+    }
+
     /**
     * Run a CodeMirror command.
     * @param  {String} cmd The command to be passed to cm.
@@ -0,0 +1,588 @@
+/**
+ * @ignore
+ * BEGIN HEADER
+ *
+ * Contains:        ZettlrGraphView class
+ * CVM-Role:        View
+ * Maintainer:      Hendrik Erz
+ * License:         GNU GPL v3
+ *
+ * Description:     Displays the files of the current root directory as a graph
+ *                  of their links and shared tags.
+ *
+ * END HEADER
+ */
+
+const path        = require('path');
+const {trans}     = require('../common/lang/i18n.js');
+const {parseLink} = require('../common/zettlr-helpers.js');
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// The size of the area in which the nodes are initially placed
+const LAYOUT_SIZE = 1000;
+
+/**
+ * The graph view covers the whole window below the toolbar. It builds the
+ * graph from the same paths object that the directory tree and the preview
+ * list use: every file is a node, and [[Links]] are edges. Tags are nodes of
+ * their own, connected to all files carrying them, so that a tag shared by
+ * many files doesn't connect every pair of them. The nodes are placed using a
+ * simple force-directed layout. The positions are kept, so that the graph doesn't jump around on
+ * every refresh.
+ */
+class ZettlrGraphView
+{
+    /**
+     * Create and append the graph view.
+     * @param {ZettlrRenderer} parent The renderer.
+     */
+    constructor(parent)
+    {
+        this._renderer = parent;
+        this._open = false;
+        this._tag = ''; // Only show files with this tag
+        this._dir = ''; // Only show files inside the directory with this hash
+        this._hops = 0; // Only show files in this distance to the current file (0 means all)
+        this._positions = {}; // Contains the node positions by hash
+        this._viewBox = null;
+
+        this._container = $('<div>').prop('id', 'graph');
+        this._controls = $('<div>').addClass('graph-controls');
+        this._svg = $(document.createElementNS(SVG_NS, 'svg'));
+        this._container.append(this._controls, this._svg);
+        $('body').append(this._container);
+
+        this._act();
+    }
+
+    /**
+     * Shows/hides the graph.
+     */
+    toggle()
+    {
+        this._open = !this._open;
+        if(this._open) {
+            this._container.show();
+            this.refresh();
+        } else {
+            this._container.hide();
+        }
+    }
+
+    /**
+     * Is the graph currently shown?
+     * @return {Boolean} True, if the graph is open.
+     */
+    isOpen()
+    {
+        return this._open;
+    }
+
+    /**
+     * Rebuilds and redraws the graph, if it is shown.
+     */
+    refresh()
+    {
+        if(!this._open) {
+            return;
+        }
+
+        let root = this._getRoot();
+        let graph = (root != null) ? this._build(root) : { 'nodes': [], 'edges': [], 'tags': [], 'dirs': [] };
+
+        // The filters may have been removed in the meantime
+        if(!graph.tags.includes(this._tag)) {
+            this._tag = '';
+        }
+        if(!graph.dirs.find((d) => { return d.hash == this._dir; })) {
+            this._dir = '';
+        }
+
+        this._buildControls(graph);
+
+        let visible = this._filter(graph);
+        this._layout(visible.nodes, visible.edges);
+        this._draw(visible.nodes, visible.edges);
+    }
+
+    /**
+     * Returns the root that contains the current directory or file.
+     * @return {Object} The root directory or file, or null.
+     */
+    _getRoot()
+    {
+        let paths = this._renderer.getPaths() || [];
+        let current = this._renderer.getCurrentDir() || this._renderer.getCurrentFile();
+
+        if(current != null) {
+            for(let p of paths) {
+                if(this._contains(p, current.hash)) {
+                    return p;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks whether or not a hash is present in a given tree.
+     * @param  {Object} obj  The tree to be searched
+     * @param  {Number} hash The hash to be searched for
+     * @return {Boolean}     True, if the hash has been found.
+     */
+    _contains(obj, hash)
+    {
+        if(obj.hash == hash) {
+            return true;
+        }
+
+        if(obj.type == 'directory' && obj.children) {
+            for(let c of obj.children) {
+                if(this._contains(c, hash)) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Builds the complete graph from a root.
+     * @param  {Object} root The root directory or file
+     * @return {Object}      An object containing the nodes, edges, all tags and all directories.
+     */
+    _build(root)
+    {
+        let nodes = [];
+        let dirs = [];
+
+        // Virtual directories only contain files that are already present, so
+        // they are omitted.
+        let walk = (obj, parents) => {
+            if(obj.type == 'file') {
+                nodes.push({
+                    'type': 'file',
+                    'hash': obj.hash,
+                    'name': path.basename(obj.name, obj.ext),
+                    'id': obj.id,
+                    'ids': obj.ids || [],
+                    'tags': obj.tags || [],
+                    'links': obj.links || [],
+                    'dirs': parents
+                });
+            } else if(obj.type == 'directory') {
+                dirs.push({ 'hash': obj.hash, 'name': path.relative(path.dirname(root.path), obj.path) });
+                for(let c of obj.children || []) {
+                    walk(c, parents.concat([ obj.hash ]));
+                }
+            }
+        };
+        walk(root, []);
+
+        // Resolve the links the same way findExact() does in main
+        let byTitle = {};
+        let byId = {};
+        for(let n of nodes) {
+            byTitle[n.name.toLowerCase()] = n;
+            for(let id of n.ids) {
+                byId[id] = n;
+            }
+        }
+
+        let edges = {};
+        let addEdge = (a, b, type) => {
+            if(a.hash == b.hash) {
+                return;
+            }
+            let key = (a.hash < b.hash) ? a.hash + '-' + b.hash : b.hash + '-' + a.hash;
+            if(!edges.hasOwnProperty(key)) {
+                edges[key] = { 'source': a, 'target': b, 'type': type };
+            }
+        };
+
+        let tags = {};
+        let prefix = this._renderer.getIdPrefix();
+        for(let n of nodes.slice()) {
+            for(let link of n.links) {
+                link = parseLink(link).target;
+                let id = (link.indexOf(prefix) == 0) ? link.substr(prefix.length) : link;
+                let target = byId[id] || byTitle[link.toLowerCase()];
+                if(target) {
+                    addEdge(n, target, 'link');
+                }
+            }
+
+            for(let tag of n.tags) {
+                if(!tags.hasOwnProperty(tag)) {
+                    // Tag nodes use the tag as hash, which can't collide with the numeric hashes of files
+                    tags[tag] = { 'type': 'tag', 'hash': '#' + tag, 'name': '#' + tag, 'tag': tag, 'files': [] };
+                    nodes.push(tags[tag]);
+                }
+                tags[tag].files.push(n);
+                addEdge(n, tags[tag], 'tag');
+            }
+        }
+
+        return {
+            'nodes': nodes,
+            'edges': Object.keys(edges).map((k) => { return edges[k]; }),
+            'tags': Object.keys(tags).sort(),
+            'dirs': dirs
+        };
+    }
+
+    /**
+     * Applies the neighbourhood, tag and directory filters.
+     * @param  {Object} graph The complete graph
+     * @return {Object}       An object containing the visible nodes and edges.
+     */
+    _filter(graph)
+    {
+        let files = graph.nodes.filter((n) => { return n.type == 'file'; });
+        let current = this._renderer.getCurrentFile();
+        let currentHash = (current) ? current.hash : null;
+
+        if(this._hops > 0 && files.find((n) => { return n.hash == currentHash; })) {
+            let neighbours = new Map();
+            for(let n of graph.nodes) {
+                neighbours.set(n.hash, []);
+            }
+            for(let e of graph.edges) {
+                neighbours.get(e.source.hash).push(e.target);
+                neighbours.get(e.target.hash).push(e.source);
+            }
+
+            // Breadth-first search starting at the current file. Files sharing
+            // a tag are one hop apart, so the tags themselves don't count.
+            let dist = new Map([ [ currentHash, 0 ] ]);
+            let queue = [ currentHash ];
+            for(let i = 0; i < queue.length; i++) {
+                let h = queue[i];
+                if(dist.get(h) >= this._hops) {
+                    continue;
+                }
+                for(let other of neighbours.get(h)) {
+                    let next = (other.type == 'tag') ? other.files : [ other ];
+                    for(let n of next) {
+                        if(!dist.has(n.hash)) {
+                            dist.set(n.hash, dist.get(h) + 1);
+                            queue.push(n.hash);
+                        }
+                    }
+                }
+            }
+            files = files.filter((n) => { return dist.has(n.hash); });
+        }
+
+        if(this._tag != '') {
+            files = files.filter((n) => { return n.tags.includes(this._tag) || n.hash == currentHash; });
+        }
+
+        if(this._dir != '') {
+            files = files.filter((n) => { return n.dirs.includes(this._dir); });
+        }
+
+        // Tags are only shown if they connect at least two of the files.
+        let visible = new Set(files.map((n) => { return n.hash; }));
+        let tags = graph.nodes.filter((n) => {
+            return n.type == 'tag' && n.files.filter((f) => { return visible.has(f.hash); }).length > 1;
+        });
+        for(let t of tags) {
+            visible.add(t.hash);
+        }
+
+        let edges = graph.edges.filter((e) => {
+            return visible.has(e.source.hash) && visible.has(e.target.hash);
+        });
+
+        return { 'nodes': files.concat(tags), 'edges': edges };
+    }
+
+    /**
+     * Computes the node positions using the Fruchterman-Reingold algorithm.
+     * Nodes that have already been placed keep their position as a start.
+     * @param  {Array} nodes The nodes
+     * @param  {Array} edges The edges between the nodes
+     */
+    _layout(nodes, edges)
+    {
+        if(nodes.length == 0) {
+            return;
+        }
+
+        let placed = true;
+        for(let n of nodes) {
+            let pos = this._positions[n.hash];
+            if(pos) {
+                n.x = pos.x;
+                n.y = pos.y;
+            } else {
+                n.x = Math.random() * LAYOUT_SIZE;
+                n.y = Math.random() * LAYOUT_SIZE;
+                placed = false;
+            }
+        }
+
+        let k = Math.sqrt(LAYOUT_SIZE * LAYOUT_SIZE / nodes.length);
+        // Already placed graphs only need to settle
+        let temperature = (placed) ? LAYOUT_SIZE / 100 : LAYOUT_SIZE / 10;
+        // The repulsion is quadratic in the number of nodes
+        let iterations = (nodes.length > 500) ? 50 : 150;
+
+        for(let i = 0; i < iterations; i++) {
+            for(let n of nodes) {
+                n.dx = 0;
+                n.dy = 0;
+            }
+
+            // All nodes repel each other ...
+            for(let a = 0; a < nodes.length; a++) {
+                for(let b = a + 1; b < nodes.length; b++) {
+                    let dx = nodes[a].x - nodes[b].x;
+                    let dy = nodes[a].y - nodes[b].y;
+                    let d = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+                    let f = k * k / d;
+                    nodes[a].dx += dx / d * f;
+                    nodes[a].dy += dy / d * f;
+                    nodes[b].dx -= dx / d * f;
+                    nodes[b].dy -= dy / d * f;
+                }
+            }
+
+            // ... while connected nodes attract each other.
+            for(let e of edges) {
+                let dx = e.source.x - e.target.x;
+                let dy = e.source.y - e.target.y;
+                let d = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+                let f = d * d / k;
+                e.source.dx -= dx / d * f;
+                e.source.dy -= dy / d * f;
+                e.target.dx += dx / d * f;
+                e.target.dy += dy / d * f;
+            }
+
+            // A weak gravity keeps unconnected nodes from drifting away
+            for(let n of nodes) {
+                n.dx -= (n.x - LAYOUT_SIZE / 2) * 0.1 * k / LAYOUT_SIZE * nodes.length;
+                n.dy -= (n.y - LAYOUT_SIZE / 2) * 0.1 * k / LAYOUT_SIZE * nodes.length;
+            }
+
+            let t = temperature * (1 - i / iterations);
+            for(let n of nodes) {
+                let d = Math.max(Math.sqrt(n.dx * n.dx + n.dy * n.dy), 0.01);
+                n.x += n.dx / d * Math.min(d, t);
+                n.y += n.dy / d * Math.min(d, t);
+            }
+        }
+
+        for(let n of nodes) {
+            this._positions[n.hash] = { 'x': n.x, 'y': n.y };
+        }
+    }
+
+    /**
+     * Draws the nodes and edges into the SVG element.
+     * @param  {Array} nodes The nodes
+     * @param  {Array} edges The edges between the nodes
+     */
+    _draw(nodes, edges)
+    {
+        this._svg.empty();
+        this._container.children('p').remove();
+
+        if(nodes.length == 0) {
+            this._container.append($('<p>').text(trans('gui.graph.empty')));
+            this._viewBox = null;
+            return;
+        }
+
+        let current = this._renderer.getCurrentFile();
+        let degree = {};
+        for(let e of edges) {
+            degree[e.source.hash] = (degree[e.source.hash] || 0) + 1;
+            degree[e.target.hash] = (degree[e.target.hash] || 0) + 1;
+        }
+
+        for(let e of edges) {
+            this._svg.append(this._element('line', {
+                'class': 'edge ' + e.type,
+                'x1': e.source.x,
+                'y1': e.source.y,
+                'x2': e.target.x,
+                'y2': e.target.y
+            }));
+        }
+
+        for(let n of nodes) {
+            let g = this._element('g', { 'class': 'node ' + n.type, 'data-hash': n.hash });
+            if(current && current.hash == n.hash) {
+                g.addClass('current');
+            }
+            g.append(this._element('circle', {
+                'cx': n.x,
+                'cy': n.y,
+                'r': 5 + Math.min(degree[n.hash] || 0, 10)
+            }));
+            g.append(this._element('text', { 'x': n.x, 'y': n.y - 18 }).text(n.name));
+            g.append(this._element('title').text((n.id) ? n.name + ' (' + n.id + ')' : n.name));
+            this._svg.append(g);
+        }
+
+        // Fit the graph into the view
+        let xs = nodes.map((n) => { return n.x; });
+        let ys = nodes.map((n) => { return n.y; });
+        let padding = 50;
+        this._viewBox = {
+            'x': Math.min(...xs) - padding,
+            'y': Math.min(...ys) - padding,
+            'w': Math.max(...xs) - Math.min(...xs) + 2 * padding,
+            'h': Math.max(...ys) - Math.min(...ys) + 2 * padding
+        };
+
+        // Match the aspect ratio of the element, so that panning and zooming
+        // can map mouse coordinates directly onto the view box.
+        let rect = this._svg[0].getBoundingClientRect();
+        if(rect.width > 0 && rect.height > 0) {
+            let v = this._viewBox;
+            if(v.w / v.h < rect.width / rect.height) {
+                let w = v.h * rect.width / rect.height;
+                v.x -= (w - v.w) / 2;
+                v.w = w;
+            } else {
+                let h = v.w * rect.height / rect.width;
+                v.y -= (h - v.h) / 2;
+                v.h = h;
+            }
+        }
+        this._applyViewBox();
+    }
+
+    /**
+     * Creates an SVG element.
+     * @param  {String} name       The tag name
+     * @param  {Object} [attr={}]  The attributes
+     * @return {jQuery}            The element, wrapped in jQuery.
+     */
+    _element(name, attr = {})
+    {
+        return $(document.createElementNS(SVG_NS, name)).attr(attr);
+    }
+
+    /**
+     * Writes the current view box to the SVG element.
+     */
+    _applyViewBox()
+    {
+        let v = this._viewBox;
+        this._svg[0].setAttribute('viewBox', [ v.x, v.y, v.w, v.h ].join(' '));
+    }
+
+    /**
+     * Rebuilds the filter controls.
+     * @param  {Object} graph The complete graph
+     */
+    _buildControls(graph)
+    {
+        let tags = $('<select>').prop('id', 'graph-tag');
+        tags.append($('<option>').val('').text(trans('gui.graph.all_tags')));
+        for(let tag of graph.tags) {
+            tags.append($('<option>').val(tag).text('#' + tag));
+        }
+        tags.val(this._tag);
+
+        let dirs = $('<select>').prop('id', 'graph-dir');
+        dirs.append($('<option>').val('').text(trans('gui.graph.all_dirs')));
+        for(let d of graph.dirs) {
+            dirs.append($('<option>').val(d.hash).text(d.name));
+        }
+        dirs.val(this._dir);
+
+        let hops = $('<input>').attr({ 'type': 'number', 'min': 0, 'id': 'graph-hops' }).val(this._hops);
+
+        this._controls.empty().append(
+            tags,
+            dirs,
+            $('<label>').attr('for', 'graph-hops').text(trans('gui.graph.hops')),
+            hops,
+            $('<button>').prop('id', 'graph-close').text(trans('gui.graph.close'))
+        );
+    }
+
+    /**
+     * Activates the event listeners on the graph view.
+     */
+    _act()
+    {
+        this._controls.on('change', '#graph-tag', (e) => {
+            this._tag = $(e.target).val();
+            this.refresh();
+        });
+
+        this._controls.on('change', '#graph-dir', (e) => {
+            this._dir = parseInt($(e.target).val()) || '';
+            this.refresh();
+        });
+
+        this._controls.on('change', '#graph-hops', (e) => {
+            this._hops = Math.max(parseInt($(e.target).val()) || 0, 0);
+            this.refresh();
+        });
+
+        this._controls.on('click', '#graph-close', (e) => {
+            this.toggle();
+        });
+
+        this._svg.on('click', '.node.file', (e) => {
+            this._renderer.requestFile(parseInt($(e.currentTarget).attr('data-hash')));
+        });
+
+        // Clicking a tag only shows the files carrying it
+        this._svg.on('click', '.node.tag', (e) => {
+            this._tag = $(e.currentTarget).attr('data-hash').substr(1);
+            this.refresh();
+        });
+
+        // Zoom around the mouse cursor
+        this._svg.on('wheel', (e) => {
+            if(this._viewBox == null) {
+                return;
+            }
+            e.preventDefault();
+            let v = this._viewBox;
+            let rect = this._svg[0].getBoundingClientRect();
+            let factor = (e.originalEvent.deltaY > 0) ? 1.1 : 1 / 1.1;
+            let mx = v.x + (e.clientX - rect.left) / rect.width * v.w;
+            let my = v.y + (e.clientY - rect.top) / rect.height * v.h;
+            v.x = mx - (mx - v.x) * factor;
+            v.y = my - (my - v.y) * factor;
+            v.w *= factor;
+            v.h *= factor;
+            this._applyViewBox();
+        });
+
+        // Pan by dragging the background
+        let drag = null;
+        this._svg.on('mousedown', (e) => {
+            if(this._viewBox != null && $(e.target).closest('.node').length == 0) {
+                drag = { 'x': e.clientX, 'y': e.clientY };
+            }
+        });
+        this._svg.on('mousemove', (e) => {
+            if(drag == null) {
+                return;
+            }
+            let rect = this._svg[0].getBoundingClientRect();
+            this._viewBox.x -= (e.clientX - drag.x) / rect.width * this._viewBox.w;
+            this._viewBox.y -= (e.clientY - drag.y) / rect.height * this._viewBox.h;
+            drag = { 'x': e.clientX, 'y': e.clientY };
+            this._applyViewBox();
+        });
+        this._svg.on('mouseup mouseleave', (e) => {
+            drag = null;
+        });
+    }
+}
+
+module.exports = ZettlrGraphView;
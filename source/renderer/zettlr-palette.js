@@ -0,0 +1,344 @@
+/**
+ * @ignore
+ * BEGIN HEADER
+ *
+ * Contains:        ZettlrPalette class
+ * CVM-Role:        View
+ * Maintainer:      Hendrik Erz
+ * License:         GNU GPL v3
+ *
+ * Description:     Displays the "go to file" and the command palette.
+ *
+ * END HEADER
+ */
+
+const {trans}       = require('../common/lang/i18n.js');
+const {fuzzyMatch}  = require('../common/zettlr-helpers.js');
+
+// How many entries the palette displays at most
+const MAX_ENTRIES = 50;
+// The bonus the most recently opened document receives
+const RECENT_BONUS = 5;
+// The CodeMirror commands and the translation keys of their labels
+const EDITOR_COMMANDS = [
+    [ 'markdownBold', 'gui.formatting.bold' ],
+    [ 'markdownItalic', 'gui.formatting.italic' ],
+    [ 'markdownCode', 'gui.formatting.code' ],
+    [ 'markdownLink', 'gui.formatting.link' ],
+    [ 'markdownImage', 'gui.formatting.image' ],
+    [ 'markdownBlockquote', 'gui.formatting.blockquote' ],
+    [ 'markdownMakeOrderedList', 'gui.formatting.ol' ],
+    [ 'markdownMakeUnorderedList', 'gui.formatting.ul' ],
+    [ 'markdownDivider', 'gui.formatting.divider' ],
+    [ 'insertFootnote', 'gui.formatting.footnote' ],
+    [ 'removeFootnote', 'gui.formatting.remove_footnote' ]
+];
+
+/**
+ * The palette lets the user jump to any file of the open paths by typing a
+ * few characters. File names, IDs and headings are matched fuzzily, and
+ * recently opened documents rank higher. In command mode, it lists all commands
+ * of the application menu and the editor together with their shortcuts.
+ */
+class ZettlrPalette
+{
+    /**
+     * Create and append the palette.
+     * @param {ZettlrRenderer} parent The renderer.
+     */
+    constructor(parent)
+    {
+        this._renderer = parent;
+        this._modal = $('<div>').prop('id', 'palette-modal');
+        this._container = $('<div>').prop('id', 'palette');
+        this._input = $('<input>').attr('type', 'text');
+        this._list = $('<ul>');
+        this._container.append(this._input, this._list);
+        this._open = false;
+        this._mode = 'files'; // Either files or commands
+        this._entries = [];   // All files and headings of the open paths, or all commands
+        this._results = [];   // The currently displayed entries
+        this._selected = 0;   // The index of the selected result
+
+        this._act();
+    }
+
+    /**
+     * Shows the palette listing all files and focuses its input.
+     */
+    show()
+    {
+        // The files may have changed since the last time.
+        this._collectFiles();
+        this._show('files', trans('gui.palette_placeholder'));
+    }
+
+    /**
+     * Shows the palette listing all commands and focuses its input.
+     * @param  {Array} menuCommands The commands of the application menu, containing label, accelerator and command.
+     */
+    showCommands(menuCommands)
+    {
+        this._collectCommands(menuCommands);
+        this._show('commands', trans('gui.palette_commands_placeholder'));
+    }
+
+    /**
+     * Displays the palette in the given mode.
+     * @param  {String} mode        Either files or commands
+     * @param  {String} placeholder The placeholder of the input
+     */
+    _show(mode, placeholder)
+    {
+        this._mode = mode;
+        this._input.attr('placeholder', placeholder).val('');
+        if(!this._open) {
+            $('body').append(this._modal, this._container);
+            this._open = true;
+        }
+        this.refresh();
+        this._input.focus();
+    }
+
+    /**
+     * Hides the palette.
+     */
+    hide()
+    {
+        if(!this._open) {
+            return;
+        }
+
+        this._modal.detach();
+        this._container.detach();
+        this._open = false;
+    }
+
+    /**
+     * Is the palette currently shown?
+     * @return {Boolean} True, if the palette is open.
+     */
+    isOpen()
+    {
+        return this._open;
+    }
+
+    /**
+     * Matches the entries against the input and displays the best ones.
+     */
+    refresh()
+    {
+        let query = this._input.val().trim();
+        let prefix = this._renderer.getIdPrefix();
+        let idQuery = (this._mode == 'files' && prefix.length > 0 && query.indexOf(prefix) === 0) ? query.substr(prefix.length) : null;
+
+        // Files opened later come later in the list of recent documents.
+        let recent = this._renderer.getBody().getRecentDocuments().map((doc) => { return doc.hash; });
+
+        this._results = [];
+        for(let entry of this._entries) {
+            let score = 0;
+            if(query.length > 0) {
+                if(idQuery !== null) {
+                    // Searching for an ID, e.g. @ID:2018
+                    score = (entry.type == 'file' && entry.id) ? fuzzyMatch(idQuery, entry.id) : -1;
+                } else {
+                    score = Math.max(fuzzyMatch(query, entry.label), (entry.id) ? fuzzyMatch(query, entry.id) : -1);
+                }
+            } else if(entry.type == 'heading') {
+                continue; // Only list files as long as there is no query
+            }
+
+            if(score < 0) {
+                continue;
+            }
+
+            let index = (entry.hash) ? recent.indexOf(entry.hash) : -1;
+            if(index > -1) {
+                score += RECENT_BONUS * (index + 1) / recent.length;
+            }
+
+            this._results.push({ 'entry': entry, 'score': score });
+        }
+
+        this._results.sort((a, b) => {
+            if(a.score != b.score) {
+                return b.score - a.score;
+            }
+            return a.entry.label.localeCompare(b.entry.label);
+        });
+        this._results = this._results.slice(0, MAX_ENTRIES).map((r) => { return r.entry; });
+        this._selected = 0;
+
+        this._list.html('');
+        if(this._results.length == 0) {
+            let msg = (this._mode == 'files') ? trans('gui.palette_no_results') : trans('gui.palette_no_commands');
+            this._list.append($('<li>').addClass('empty').text(msg));
+            return;
+        }
+
+        for(let i = 0; i < this._results.length; i++) {
+            let entry = this._results[i];
+            let li = $('<li>')
+                .text(entry.label)
+                .addClass(entry.type)
+                .attr('data-index', i);
+            li.append($('<small>').text(entry.detail));
+            this._list.append(li);
+        }
+
+        this._select(0);
+    }
+
+    /**
+     * Collects all files of the open paths together with their headings.
+     */
+    _collectFiles()
+    {
+        this._entries = [];
+        let prefix = this._renderer.getIdPrefix();
+        for(let file of this._renderer.getAllFiles()) {
+            let title = file.name.substr(0, file.name.lastIndexOf('.'));
+            this._entries.push({
+                'type': 'file',
+                'hash': file.hash,
+                'label': title,
+                'id': file.id,
+                'detail': (file.id) ? prefix + file.id : file.dir
+            });
+
+            for(let heading of file.headings || []) {
+                this._entries.push({
+                    'type': 'heading',
+                    'hash': file.hash,
+                    'line': heading.line,
+                    'label': heading.text,
+                    'id': '',
+                    'detail': title
+                });
+            }
+        }
+    }
+
+    /**
+     * Collects the commands of the application menu and of the editor.
+     * @param  {Array} menuCommands The commands of the application menu
+     */
+    _collectCommands(menuCommands)
+    {
+        let isMac = (process.platform === 'darwin');
+        this._entries = [];
+        for(let cmd of menuCommands) {
+            this._entries.push({
+                'type': 'command',
+                'command': cmd.command,
+                'label': cmd.label,
+                'detail': cmd.accelerator.replace('CmdOrCtrl', (isMac) ? 'Cmd' : 'Ctrl')
+            });
+        }
+
+        // Formatting commands are only available if a file is open.
+        if(!this._renderer.getCurrentFile()) {
+            return;
+        }
+
+        let editor = this._renderer.getEditor();
+        let commands = EDITOR_COMMANDS.map((cmd) => { return { 'command': cmd[0], 'label': trans(cmd[1]) }; });
+        for(let i = 1; i <= 6; i++) {
+            commands.push({ 'command': 'markdownHeading' + i, 'label': trans('gui.formatting.heading', i) });
+        }
+
+        for(let cmd of commands) {
+            this._entries.push({
+                'type': 'cm-command',
+                'command': cmd.command,
+                'label': cmd.label,
+                // CodeMirror separates keys with dashes, the menu with plus signs
+                'detail': editor.getKeyBinding(cmd.command).replace(/-(?!$)/g, '+')
+            });
+        }
+    }
+
+    /**
+     * Selects a result and scrolls it into view.
+     * @param  {Number} index The index of the result
+     */
+    _select(index)
+    {
+        if(this._results.length == 0) {
+            return;
+        }
+
+        // Wrap around at both ends of the list
+        this._selected = (index + this._results.length) % this._results.length;
+        this._list.find('li').removeClass('selected');
+        let li = this._list.find(`li[data-index="${this._selected}"]`).addClass('selected');
+        li[0].scrollIntoView({ 'block': 'nearest' });
+    }
+
+    /**
+     * Opens the file of a result (at the heading if the result is one) or
+     * runs its command.
+     * @param  {Number} index The index of the result
+     */
+    _openResult(index)
+    {
+        let entry = this._results[index];
+        if(!entry) {
+            return;
+        }
+
+        this.hide();
+        switch(entry.type) {
+            case 'file':
+            this._renderer.requestFile(entry.hash);
+            break;
+            case 'heading':
+            this._renderer.requestFileAtLine(entry.hash, entry.line);
+            break;
+            case 'command':
+            this._renderer.handleEvent(entry.command, {});
+            break;
+            case 'cm-command':
+            this._renderer.handleEvent('cm-command', entry.command);
+            break;
+        }
+    }
+
+    /**
+     * Activates the event listeners on the palette.
+     */
+    _act()
+    {
+        this._modal.on('click', (e) => { this.hide(); });
+
+        this._input.on('input', (e) => { this.refresh(); });
+
+        this._input.on('keydown', (e) => {
+            if(e.which == 38) {
+                // Arrow up
+                e.preventDefault();
+                this._select(this._selected - 1);
+            } else if(e.which == 40) {
+                // Arrow down
+                e.preventDefault();
+                this._select(this._selected + 1);
+            } else if(e.which == 13) {
+                // Return
+                e.preventDefault();
+                this._openResult(this._selected);
+            } else if(e.which == 27) {
+                // ESC
+                e.preventDefault();
+                e.stopPropagation();
+                this.hide();
+            }
+        });
+
+        this._list.on('click', 'li[data-index]', (e) => {
+            this._openResult(parseInt($(e.currentTarget).attr('data-index')));
+        });
+    }
+}
+
+module.exports = ZettlrPalette;
@@ -13,12 +13,18 @@
  */
 
 const Clusterize = require('clusterize.js');
-const { formatDate, flattenDirectoryTree } = require('../common/zettlr-helpers.js');
+const { formatDate, flattenDirectoryTree,
+    parseSearchTerm, parseDateFilter, escapeHTML } = require('../common/zettlr-helpers.js');
+const {trans} = require('../common/lang/i18n.js');
 // Sorting icons (WebHostingHub-Glyphs)
 const SORT_NAME_UP = '&#xf1c2;'
 const SORT_NAME_DOWN = '&#xf1c1;';
 const SORT_TIME_UP = '&#xf1c3;';
 const SORT_TIME_DOWN = '&#xf1c4;';
+// Search words in the form of field:value or -word are filters
+const FILTER_RE = /^(-?)(?:(tag|id|title|modified|dir):)?(.+)$/;
+// How many hits are displayed below each search result
+const MAX_HITS = 10;
 
 /**
  * This class represents the file tree as a two-dimensional list. It makes use
@@ -57,12 +63,11 @@ class ZettlrPreview
         });
 
         // Search related
-        this._hashes             = null;
-        this._currentSearch      = null;
-        this._currentSearchIndex = 0;
         this._results            = []; // Saves all search results
         this._maxWeight          = -1; // Maximum weight found during search
         this._showSearchResults  = false; // Indicates whether or not _gen() should include negative search results.
+        this._hits               = []; // All hits of the displayed results in the order of the list, containing hash, from and to
+        this._currentHit         = -1; // The index of the hit the user has navigated to
 
         // Activate event listeners
         this._act();
@@ -116,6 +121,11 @@ class ZettlrPreview
             keywords.push(kw.name); // For quicker access during huge list builds
         }
 
+        // Files may appear several times (in virtual directories), but their
+        // hits are only displayed once.
+        this._hits = [];
+        let hitFiles = [];
+
         // Indicator whether or not we're currently in a virtual directory
         let inVirtualDir = false;
         let vdhash = undefined;
@@ -133,7 +143,8 @@ class ZettlrPreview
             if(d.type == 'virtual-directory') {
                 inVirtualDir = true;
                 vdhash = d.hash;
-            } else if(d.type == 'directory') {
+            } else if(d.type == 'directory' || d.type == 'smart-directory') {
+                // Files can't be removed from smart directories
                 inVirtualDir = false;
                 vdhash = undefined;
             }
@@ -150,13 +161,14 @@ class ZettlrPreview
                 bgcolor = ` style="background-color:hsla(159, ${w}%, 50%, ${w/100});"`; // hue of 159 corresponds to @green-0
             }
 
-            let sort = (d.type == 'directory' || d.type == 'virtual-directory') ? `data-sorting="${d.sorting}" ` : '';
+            let isDir = (d.type == 'directory' || d.type == 'virtual-directory' || d.type == 'smart-directory');
+            let sort = (isDir) ? `data-sorting="${d.sorting}" ` : '';
             let selected = (this._selectedFile && this._selectedFile == d.hash) ? ` selected` : '';
             let snippets = (this._snippets) ? ' snippets' : '';
             let vdclass = (inVirtualDir) ? ' vd-file' : ''; // File is not actually present in this "dir"
             let vdhashAttr = (inVirtualDir && vdhash) ? ' data-vd-hash="' + vdhash + '"' : ''; // For context menu actions we need to pass vd-hash, b/c accessing parent will not work.
             let elem = `<li class="${d.type}${selected}${snippets}${vdclass}" data-hash="${d.hash}" ${sort}${bgcolor}${vdhashAttr}>`;
-            if(d.type == 'directory' || d.type == 'virtual-directory') {
+            if(isDir) {
                 // Render a directory
                 elem += d.name;
             } else if (d.type == 'file') {
@@ -171,18 +183,65 @@ class ZettlrPreview
                 }
                 tl += `</div>`;
 
-                elem += `<p class="filename">${d.name.substr(0, d.name.lastIndexOf('.'))}</p>${tl}`;
+                // Prefer the title of the front matter over the filename
+                let title = d.title || d.name.substr(0, d.name.lastIndexOf('.'));
+                elem += `<p class="filename">${escapeHTML(title)}</p>${tl}`;
 
                 if(this._snippets) {
                     elem += `<span class="snippet">${d.snippet}
                     <small>${formatDate(new Date(d.modtime))}</small></span>`;
                 }
+
+                if(this._showSearchResults && !hitFiles.includes(d.hash)) {
+                    hitFiles.push(d.hash);
+                    elem += this._genHits(d.hash);
+                }
             }
             elem += '</li>'; // Close the tag
             this._tags.push(elem);
         }
     }
 
+    /**
+     * Generates the list of matching lines of a search result and appends
+     * them to the hits.
+     * @param  {Number} hash The hash of the file
+     * @return {String}      The HTML code of the list
+     */
+    _genHits(hash)
+    {
+        let hits = [];
+        for(let r of this.hasResult(hash).result) {
+            // Several terms may be found at the same position
+            if(r.from && !hits.find((h) => { return h.from.line == r.from.line && h.from.ch == r.from.ch; })) {
+                hits.push(r);
+            }
+        }
+
+        if(hits.length == 0) {
+            return ''; // Only the file name or the filters matched
+        }
+
+        hits.sort((a, b) => { return (a.from.line - b.from.line) || (a.from.ch - b.from.ch); });
+
+        let html = '<div class="search-hits">';
+        for(let i = 0; i < hits.length; i++) {
+            let index = this._hits.length;
+            this._hits.push({ 'hash': hash, 'from': hits[i].from, 'to': hits[i].to });
+            if(i < MAX_HITS) {
+                let active = (index == this._currentHit) ? ' active' : '';
+                html += `<a href="#" class="search-hit${active}" data-hit="${index}">`;
+                html += `${escapeHTML(hits[i].before)}<mark>${escapeHTML(hits[i].text)}</mark>${escapeHTML(hits[i].after)}</a>`;
+            }
+        }
+
+        if(hits.length > MAX_HITS) {
+            html += `<small>${trans('gui.search_more_hits', hits.length - MAX_HITS)}</small>`;
+        }
+
+        return html + '</div>';
+    }
+
     /**
      * Updates the draggables. Is called everytime a new cluster is rendered.
      * @return {void} No return.
@@ -236,6 +295,14 @@ class ZettlrPreview
      */
     _act()
     {
+        // Jump to a hit of a search result. Don't let the click bubble up to
+        // the file, which would open it at the last position.
+        this._listContainer.on('click', 'a.search-hit', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.showHit(parseInt($(e.currentTarget).attr('data-hit')));
+        });
+
         // Activate directories and files respectively.
         this._listContainer.on('click', 'li.file', (e) => {
             let elem = $(e.target);
@@ -417,19 +484,46 @@ class ZettlrPreview
 
     /**
      * The user has requested a search. This function prepares the terms and commences the search.
+     * Besides the words to be searched for, a query may contain the filters
+     * tag:, id:, title:, modified: and dir:, and words preceded by a minus,
+     * which must not appear in a file. Filters always apply in addition to
+     * the other words, but may be combined with each other (or with words)
+     * using OR.
      * @param  {String} term The value of the search field.
+     * @param  {Object} [options={}] May contain caseSensitive, wholeWord and fuzzy
      * @return {void}      Nothing to return.
      */
-    beginSearch(term)
+    beginSearch(term, options = {})
     {
         // First sanitize the terms
         let myTerms = [];
         let curWord = "";
         let hasExact = false;
+        let quoted = false; // True, if a whole word is enclosed in quotes
         let operator = 'AND';
 
         for(let i = 0; i < term.length; i++) {
             let c = term.charAt(i);
+            if(c === '/' && (curWord === '' || curWord === '-') && !hasExact) {
+                // Regular expressions in the form of /pattern/flags are passed
+                // on as they are, as they may contain spaces and pipes. Anything
+                // else that merely contains slashes (e.g. /usr/bin) is text.
+                let end = term.indexOf('/', i + 1);
+                while(end > -1 && term.charAt(end - 1) === '\\') {
+                    end = term.indexOf('/', end + 1);
+                }
+                let flags = (end > i + 1) ? /^[gimsuy]*/.exec(term.substr(end + 1))[0] : '';
+                if(end > i + 1 && /^[\s|]?$/.test(term.charAt(end + 1 + flags.length))) {
+                    myTerms.push({ "word": curWord + term.substring(i, end + 1 + flags.length), "operator": operator });
+                    curWord = '';
+                    if(operator == 'OR') {
+                        operator = 'AND';
+                    }
+                    i = end + flags.length;
+                    continue;
+                }
+            }
+
             if((c === " ") && !hasExact) {
                 // Eat word and next
                 if(curWord.trim() !== '') {
@@ -454,10 +548,12 @@ class ZettlrPreview
             } else if(c === '"') {
                 if(!hasExact) {
                     hasExact = true;
+                    // Prefixes such as -"..." or title:"..." are kept
+                    quoted = (curWord.trim() === '');
                     continue;
                 } else {
                     hasExact = false;
-                    myTerms.push({ "word": curWord.trim(), "operator": operator });
+                    myTerms.push({ "word": curWord.trim(), "operator": operator, "quoted": quoted });
                     curWord = '';
                     if(operator == 'OR') {
                         operator = 'AND';
@@ -475,120 +571,108 @@ class ZettlrPreview
             myTerms.push({ "word": curWord.trim(), "operator": operator });
         }
 
+        // Mark the filters, so that they can be separated from the words to be
+        // searched for. Words that are enclosed in quotes as a whole are never
+        // filters.
+        for(let t of myTerms) {
+            let match = (t.quoted) ? null : FILTER_RE.exec(t.word);
+            if(match && (match[1] || match[2])) {
+                t.filter = { 'field': match[2] || 'text', 'value': match[3], 'negate': (match[1] === '-') };
+            }
+        }
+
+        // Invalid regular expressions or dates would silently match nothing.
+        for(let t of myTerms.map((t) => { return t.filter || { 'field': 'text', 'value': t.word }; })) {
+            if(t.field == 'modified' && parseDateFilter(t.value) == null) {
+                this._renderer.getBody().notify(trans('gui.search_invalid_date', t.value));
+                return;
+            }
+
+            try {
+                parseSearchTerm(t.value);
+            } catch(e) {
+                this._renderer.getBody().notify(trans('gui.search_invalid_regex', e.message));
+                return;
+            }
+        }
+
         // Now pack together all consecutive ORs to make it easier for the search
         // in the main process
-        let currentOr = {};
-        currentOr.operator = 'OR';
-        currentOr.word = [];
-        let newTerms = [];
-
+        let groups = [];
         for(let i = 0; i < myTerms.length; i++) {
-            if(myTerms[i].operator === 'AND') {
-                if(currentOr.word.length > 0) {
-                    // Duplicate object so that the words are retained
-                    newTerms.push(JSON.parse(JSON.stringify(currentOr)));
-                    currentOr.word = [];
-                }
-                newTerms.push(myTerms[i]);
-            } else if(myTerms[i].operator === 'OR') {
-                currentOr.word.push(myTerms[i].word);
+            if(myTerms[i].operator === 'OR' && i > 0 && myTerms[i - 1].operator === 'OR') {
+                groups[groups.length - 1].push(myTerms[i]);
+            } else {
+                groups.push([ myTerms[i] ]);
             }
         }
 
-        // Now push the currentOr if not empty
-        if(currentOr.word.length > 0) {
-            newTerms.push(JSON.parse(JSON.stringify(currentOr)));
+        // Groups containing a filter become a filter as a whole, which matches
+        // if any of its filters matches. Words in such a group may appear
+        // anywhere in a file.
+        let newTerms = [];
+        let filters = [];
+        for(let group of groups) {
+            if(group.find((t) => { return t.filter; }) !== undefined) {
+                filters.push(group.map((t) => { return t.filter || { 'field': 'text', 'value': t.word, 'negate': false }; }));
+            } else if(group[0].operator === 'AND') {
+                newTerms.push({ 'word': group[0].word, 'operator': 'AND' });
+            } else {
+                newTerms.push({ 'word': group.map((t) => { return t.word; }), 'operator': 'OR' });
+            }
         }
 
-        // Now we are all set and can begin the journey. First we need to prepare
-        // some things. First: Write the current terms into this object
-        // second, listen for search events and third clear everything up when
-        // we are done.
-
-        this._hashes = [];
+        // Now we are all set and can begin the journey. The whole query is
+        // answered by the search index in the main process at once.
+        let hashes = [];
         for(let d of this._data) {
             if(d.type == 'file') {
-                this._hashes.push(d.hash);
+                hashes.push(d.hash);
             }
         }
-        this._currentSearch = newTerms;
-
-        // The search index will be increased BEFORE accessing the first file!
-        this._currentSearchIndex = -1;
 
         // Also, to prevent previous search results from showing up, remove them
         this._results = [];
         this._maxWeight = -1;
+        this._currentHit = -1;
 
-        // Aaaaand: Go!
-        this._doSearch();
-    }
-
-    /**
-     * Do one single search cycle.
-     * @return {void} Nothing to return.
-     */
-    _doSearch()
-    {
-        if(this._hashes.length == 0) {
+        if(hashes.length == 0) {
             this.endSearch();
             return;
         }
 
-        // We got an array to search through.
-        if(this._currentSearchIndex == (this._hashes.length-1)) {
-            // End search
-            this._renderer.endSearch();
-            return;
-        }
-        if(this._currentSearchIndex > this._hashes.length) {
-            this._renderer.endSearch();
-            return;
-        }
-
-        this._currentSearchIndex++;
-
-        this._renderer.searchProgress(this._currentSearchIndex, this._hashes.length);
-
-        // TODO: Move out send-methods from all files except renderer!
-        // Send a request to the main process and handle it afterwards.
-        this._renderer.send('file-search', {
-            'hash': this._hashes[this._currentSearchIndex],
-            'terms': this._currentSearch
+        // Aaaaand: Go!
+        this._renderer.send('search', {
+            'hashes': hashes,
+            'terms': newTerms,
+            'filters': filters,
+            'options': options
         });
     }
 
     /**
-     * Handle the result of the search from main process.
-     * @param  {Object} res Contains the search result and the hash.
+     * Handle the results of the search from main process.
+     * @param  {Array} results Contains the hash and the result of every matching file, the best matches first.
      * @return {void}     Nothing to return.
      */
-    handleSearchResult(res)
+    handleSearchResults(results)
     {
-        if(res.result.length > 0) {
-            this._results.push(res); // For later reference
-            let w = 0;
-            for(let r of res.result) {
-                w += r.weight;
-            }
-            if(w > this._maxWeight) {
-                this._maxWeight = w;
+        this._results = results; // For later reference
+        for(let res of results) {
+            if(res.weight > this._maxWeight) {
+                this._maxWeight = res.weight;
             }
         }
 
-        // Next search cycle
-        this._doSearch();
+        this._renderer.endSearch();
     }
 
     /**
-     * Ends a search if there are no more hashes to search through.
+     * Ends a search and displays the results.
      * @return {void} Nothing to return.
      */
     endSearch()
     {
-        this._currentSearchIndex = 0;
-        this._hashes             = [];
-        this._currentSearch      = null;
         this._showSearchResults  = true; // Indicate that the list should be only displaying search results.
         this.refresh(); // Refresh to apply.
         // Also mark the results in the potential open file
@@ -603,9 +687,38 @@ class ZettlrPreview
         this._showSearchResults = false;
         this._results = [];
         this._maxWeight = -1;
+        this._currentHit = -1;
         this.refresh(); // Refresh to re-show.
     }
 
+    /**
+     * Opens the file of a hit and selects it.
+     * @param  {Number} index The index of the hit, wraps around at both ends.
+     */
+    showHit(index)
+    {
+        if(this._hits.length == 0) {
+            return;
+        }
+
+        this._currentHit = (index + this._hits.length) % this._hits.length;
+        this._listContainer.find('.search-hit').removeClass('active');
+        this._listContainer.find(`.search-hit[data-hit="${this._currentHit}"]`).addClass('active');
+
+        let hit = this._hits[this._currentHit];
+        this._renderer.requestFileAtRange(hit.hash, hit.from, hit.to);
+    }
+
+    /**
+     * Steps to the next hit, across all files.
+     */
+    nextHit() { this.showHit(this._currentHit + 1); }
+
+    /**
+     * Steps to the previous hit, across all files.
+     */
+    previousHit() { this.showHit((this._currentHit < 0) ? -1 : this._currentHit - 1); }
+
     /**
      * Returns a search result or null.
      * @param  {Number}  hash The hash to be searched for.
@@ -660,6 +773,15 @@ class ZettlrPreview
     {
         this._keywords = newtags;
     }
+
+    /**
+     * Returns the tags as set by setTags()
+     * @return {Array} An array containing objects with name, color and desc.
+     */
+    getTags()
+    {
+        return this._keywords;
+    }
 }
 
 module.exports = ZettlrPreview;
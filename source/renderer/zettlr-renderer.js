@@ -23,6 +23,9 @@ const ZettlrPomodoro    = require('../zettlr-pomodoro.js');
 const ZettlrPopup       = require('../zettlr-popup.js');
 const ZettlrStatsView   = require('../zettlr-stats-view.js');
 const ZettlrAttachments = require('../zettlr-attachments.js');
+const ZettlrBacklinks   = require('../zettlr-backlinks.js');
+const ZettlrGraphView   = require('../zettlr-graph-view.js');
+const ZettlrPalette     = require('../zettlr-palette.js');
 
 const tippy             = require('tippy.js')
 const Typo              = require('typo-js');
@@ -30,6 +33,7 @@ const remote            = require('electron').remote;
 const path              = require('path');
 
 const {trans}           = require('../../common/lang/i18n.js');
+const {parseLink}       = require('../../common/zettlr-helpers.js');
 
                         // Pull the poll-time from the data
 const POLL_TIME         = require('../../common/data.json').poll_time;
@@ -52,6 +56,7 @@ class ZettlrRenderer
         this._currentFile    = null;
         this._currentDir     = null;
         this._paths          = null;
+        this._allFiles       = null; // Caches getAllFiles() until the paths change
         this._lang           = 'en_US'; // Default fallback
 
         // Spellchecking vars
@@ -85,9 +90,16 @@ class ZettlrRenderer
         this._pomodoro       = new ZettlrPomodoro(this);
         this._stats          = new ZettlrStatsView(this);
         this._attachments    = new ZettlrAttachments(this);
+        this._backlinks      = new ZettlrBacklinks(this);
+        this._graph          = new ZettlrGraphView(this);
+        this._palette        = new ZettlrPalette(this);
 
         this._directoriesLocked = false; // Is the directory tree view currently locked?
         this._stateBeforeLocked = ''; // Saves the state the combiner was in before lock was initialised, can be preview or directories
+        this._jumpTarget = null; // Contains hash and line, a range (from and to) or an anchor to be jumped to once the requested file is opened
+        this._zkn = { 'idPrefix': '@ID:', 'idPattern': '%Y%M%D%h%m%s' }; // The ID format, will be overwritten by the config
+        this._exportProfiles = []; // The export profiles, will be overwritten by the config
+        this._exporting = false; // Is an export currently running?
     }
 
     /**
@@ -104,6 +116,10 @@ class ZettlrRenderer
         this._ipc.send('config-get', 'app_lang');
         this._ipc.send('config-get', 'muteLines');
         this._ipc.send('config-get', 'combinerState');
+        this._ipc.send('config-get', 'linkPreference');
+        this._ipc.send('config-get', 'zkn');
+        this._ipc.send('config-get', 'searchHistory');
+        this._ipc.send('config-get', 'exportProfiles');
         this._ipc.send('get-tags'); // Receive initial list of tags to display
 
         // Request a first batch of files
@@ -256,9 +272,32 @@ class ZettlrRenderer
      */
     toggleAttachments()
     {
+        // Both panes share the same space
+        if(this._backlinks.isOpen()) {
+            this._backlinks.toggle();
+        }
         this._attachments.toggle();
     }
 
+    /**
+     * Toggles display of the backlink pane.
+     */
+    toggleBacklinks()
+    {
+        if(this._attachments.isOpen()) {
+            this._attachments.toggle();
+        }
+        this._backlinks.toggle();
+    }
+
+    /**
+     * Toggles display of the graph view.
+     */
+    toggleGraph()
+    {
+        this._graph.toggle();
+    }
+
     /**
      * Displays a table of content.
      * @return {void} (Point of) No return.
@@ -379,6 +418,7 @@ class ZettlrRenderer
     refresh(nData)
     {
         this._paths = nData;
+        this._allFiles = null;
         if(this.getCurrentDir() != null) {
             this.setCurrentDir(this.getCurrentDir().hash);
         } else {
@@ -394,11 +434,12 @@ class ZettlrRenderer
         this._directories.refresh();
         this._preview.refresh();
         this._attachments.refresh();
+        this._graph.refresh();
     }
 
     refreshCurrentFile(file)
     {
-        if(this.getCurrentFile()) {
+        if(this.getCurrentFile() && this.getCurrentFile().hash == file.hash) {
             // The only things that could've changed and that are immediately
             // visible to the user (which is why we need to update them) are:
             // modtime, snippet, tags, id. The rest can wait until the next big
@@ -407,9 +448,11 @@ class ZettlrRenderer
             f.modtime = file.modtime;
             f.snippet = file.snippet;
             f.tags = file.tags;
+            f.links = file.links;
             f.id = file.id;
             // Trigger a redraw of this specific file in the preview list.
             this._preview.refresh();
+            this._graph.refresh();
         }
     }
 
@@ -429,9 +472,11 @@ class ZettlrRenderer
             oldFile.hash         = file.hash;
             oldFile.id           = file.id;
             oldFile.tags         = file.tags;
+            oldFile.links        = file.links;
             oldFile.ext          = file.ext;
             oldFile.modtime      = file.modtime;
             oldFile.snippet      = file.snippet;
+            this._allFiles       = null;
 
             // Then refresh
             this._preview.refresh();
@@ -617,7 +662,7 @@ class ZettlrRenderer
         // Show preview before searching the dir
         this.showPreview();
         this._ipc.send('force-open', term);
-        this._preview.beginSearch(term);
+        this._preview.beginSearch(term, this._toolbar.getSearchOptions());
     }
 
     /**
@@ -633,14 +678,50 @@ class ZettlrRenderer
             this._toolbar.setSearch(term);
             this.beginSearch(term);
         } else {
+            // Links may point to a heading or a block inside the file. Main
+            // decides whether such an anchor is part of a title, see
+            // resolveJumpTarget().
+            let link = parseLink(term);
+            if(link.target.length == 0) {
+                // Links such as [[#Heading]] point into the current file.
+                this._jumpToAnchor(link);
+                return;
+            }
             // Show preview before searching the dir
             this.showPreview();
-            // Don't search, simply tell main to open the file
-            this._ipc.send('force-open', term);
+            // Don't search, simply tell main to open the file (or to create
+            // it, if it doesn't exist yet)
+            this._ipc.send('open-link', term);
             // Also initiate a search to be run accordingly for any files that
             // might reference the file.
-            this._toolbar.setSearch(term);
-            this.beginSearch(term);
+            this._toolbar.setSearch(link.target);
+            this.beginSearch(link.target);
+        }
+    }
+
+    /**
+     * Jumps to the anchor of a link once the file is opened. Main only calls
+     * this if the link didn't match a title containing the anchor.
+     * @param  {Object} link An object containing the hash of the file the link points to and the term of the link
+     */
+    resolveJumpTarget(link)
+    {
+        this._jumpTarget = { 'hash': link.hash, 'anchor': parseLink(link.term) };
+    }
+
+    /**
+     * Jumps to a heading or a block of the current file.
+     * @param  {Object} anchor An object containing heading or block, as returned by parseLink()
+     */
+    _jumpToAnchor(anchor)
+    {
+        if(!this._currentFile) {
+            return;
+        }
+
+        let line = this._editor.findAnchor(anchor);
+        if(line > -1) {
+            this._editor.jtl(line);
         }
     }
 
@@ -714,6 +795,41 @@ class ZettlrRenderer
      */
     requestFile(hash) { this._ipc.send('file-get', hash); }
 
+    /**
+     * Requests a file and jumps to the given line as soon as it is opened. If
+     * the file is already open, the editor jumps to the line immediately.
+     * @param  {Number} hash The hash of the file
+     * @param  {Number} line The zero-based line to jump to
+     */
+    requestFileAtLine(hash, line)
+    {
+        if(this._currentFile && this._currentFile.hash == hash) {
+            this._editor.jtl(line);
+            return;
+        }
+
+        this._jumpTarget = { 'hash': hash, 'line': line };
+        this.requestFile(hash);
+    }
+
+    /**
+     * Requests a file and selects the given range as soon as it is opened. If
+     * the file is already open, the range is selected immediately.
+     * @param  {Number} hash The hash of the file
+     * @param  {Object} from The start of the range, containing line and ch
+     * @param  {Object} to   The end of the range, containing line and ch
+     */
+    requestFileAtRange(hash, from, to)
+    {
+        if(this._currentFile && this._currentFile.hash == hash) {
+            this._editor.selectRange(from, to);
+            return;
+        }
+
+        this._jumpTarget = { 'hash': hash, 'from': from, 'to': to };
+        this.requestFile(hash);
+    }
+
     /**
      * Tells the main to tell the directory to sort itself
      * @param  {Number} hash The hash of the directory to be sorted
@@ -748,10 +864,17 @@ class ZettlrRenderer
     /**
      * Executed when the user clicks on a filetype to export to.
      * @param  {Integer} hash The hash of the file to be exported
-     * @param  {String} ext  Either "odt", "docx", "html" or "pdf".
+     * @param  {String} ext  Either "odt", "docx", "html", "pdf", "epub", "tex", "revealjs" or "txt".
+     * @param  {String} [profile=''] The name of an export profile, which overrides ext.
      * @return {void}      Nothing to return.
      */
-    requestExport(hash, ext) { this._ipc.send('export', { 'hash': hash, 'ext': ext}); }
+    requestExport(hash, ext, profile = '') { this._ipc.send('export', { 'hash': hash, 'ext': ext, 'profile': profile }); }
+
+    /**
+     * Requests to cancel all running exports.
+     * @return {void} Nothing to return.
+     */
+    requestCancelExport() { this._ipc.send('export-cancel'); }
 
     /**
      * Requests a rename of a directory.
@@ -801,6 +924,17 @@ class ZettlrRenderer
         // this._preview.select(f.hash);
         this._editor.open(f);
         this._body.addRecentDocument(f);
+        // Citations are autocompleted from the bibliography of the file
+        this._ipc.send('get-citations', f.hash);
+
+        if(this._jumpTarget != null && this._jumpTarget.hash == f.hash && this._jumpTarget.from) {
+            this._editor.selectRange(this._jumpTarget.from, this._jumpTarget.to);
+        } else if(this._jumpTarget != null && this._jumpTarget.hash == f.hash && this._jumpTarget.anchor) {
+            this._jumpToAnchor(this._jumpTarget.anchor);
+        } else if(this._jumpTarget != null && this._jumpTarget.hash == f.hash) {
+            this._editor.jtl(this._jumpTarget.line);
+        }
+        this._jumpTarget = null;
     }
 
     /**
@@ -911,12 +1045,18 @@ class ZettlrRenderer
      */
     setCurrentFile(newfile)
     {
+        let oldFile = this._currentFile;
         this._currentFile = this.findObject(newfile);
         // Also directly select it
         if(this._currentFile !== null) {
             this._preview.select(newfile);
             this._directories.select(newfile);
         }
+
+        // The graph highlights the current file
+        if(oldFile != this._currentFile) {
+            this._graph.refresh();
+        }
     }
 
     /**
@@ -931,6 +1071,47 @@ class ZettlrRenderer
      */
     getCurrentDir() { return this._currentDir; }
 
+    /**
+     * Sets the format of IDs.
+     * @param {Object} zkn An object containing idPrefix and idPattern
+     */
+    setZknOptions(zkn)
+    {
+        this._zkn = zkn;
+        this._editor.setZknOptions(zkn);
+        this._graph.refresh();
+    }
+
+    /**
+     * Returns the prefix of IDs.
+     * @return {String} The prefix, e.g. "@ID:"
+     */
+    getIdPrefix() { return this._zkn.idPrefix; }
+
+    /**
+     * Sets the export profiles.
+     * @param {Array} profiles The profiles, containing name, format, template, filters, args and action.
+     */
+    setExportProfiles(profiles) { this._exportProfiles = profiles; }
+
+    /**
+     * Returns the export profiles.
+     * @return {Array} The profiles
+     */
+    getExportProfiles() { return this._exportProfiles; }
+
+    /**
+     * Sets whether an export is currently running.
+     * @param {Boolean} running True, if there are running exports.
+     */
+    setExporting(running) { this._exporting = running; }
+
+    /**
+     * Is an export currently running?
+     * @return {Boolean} True, if there are running exports.
+     */
+    isExporting() { return this._exporting; }
+
     /**
      * Returns the language of the GUI.
      * @return {String} The language code.
@@ -1003,6 +1184,57 @@ class ZettlrRenderer
      */
     getStatsView() { return this._stats; }
 
+    /**
+     * Returns the backlink pane
+     * @return {ZettlrBacklinks} The backlink pane instance
+     */
+    getBacklinks() { return this._backlinks; }
+
+    /**
+     * Returns the graph view
+     * @return {ZettlrGraphView} The graph view instance
+     */
+    getGraphView() { return this._graph; }
+
+    /**
+     * Returns the "go to file" palette
+     * @return {ZettlrPalette} The palette instance
+     */
+    getPalette() { return this._palette; }
+
+    /**
+     * Returns a one-dimensional array of all files within all open paths. The
+     * array is kept until main sends new paths.
+     * @return {Array} An array containing the file objects.
+     */
+    getAllFiles()
+    {
+        if(this._allFiles != null) {
+            return this._allFiles;
+        }
+
+        let files = new Map();
+        let walk = (obj) => {
+            if(obj.type == 'file') {
+                // Virtual directories contain files that are already present.
+                if(!files.has(obj.hash)) {
+                    files.set(obj.hash, obj);
+                }
+            } else if(obj.type == 'directory') {
+                for(let c of obj.children) {
+                    walk(c);
+                }
+            }
+        };
+
+        for(let p of this._paths || []) {
+            walk(p);
+        }
+
+        this._allFiles = Array.from(files.values());
+        return this._allFiles;
+    }
+
     /**
      * Returns a one-dimensional array of all files in the current directory and
      * its subdirectories. The extensions are omitted!
@@ -23,6 +23,9 @@ const CLOSING_COMMANDS = [
     'file-delete',
     'close-root',
     'force-open',
+    'open-link',
+    'dir-replace-preview', // Replacements must always work on the newest version
+    'dir-replace-apply',
     'export' // Doesn't force-close, but this way the export is ensured to be the newest version
 ];
 
@@ -114,6 +117,7 @@ class ZettlrRendererIPC
             // Saves resources and prevents the app to feel laggy.
             case 'file-update':
             this._app.refreshCurrentFile(cnt);
+            this._app.getEditor().refreshTransclusions(cnt.hash);
             break;
 
             // DIRECTORIES
@@ -166,6 +170,51 @@ class ZettlrRendererIPC
             this._app.getBody().displayProjectProperties(cnt);
             break;
 
+            case 'dir-check-links':
+            this.send('dir-check-links', cnt);
+            break;
+
+            case 'link-report':
+            this._app.getBody().displayLinkReport(cnt);
+            break;
+
+            case 'export-status':
+            this._app.setExporting(cnt.running);
+            break;
+
+            case 'export-error':
+            this._app.getBody().displayExportError(cnt);
+            break;
+
+            case 'dir-new-smart':
+            case 'dir-edit-smart':
+            this._app.getBody().displaySmartDirectory(cnt);
+            break;
+
+            case 'dir-save-smart':
+            this.send('dir-save-smart', cnt);
+            break;
+
+            case 'dir-replace':
+            this._app.getBody().displayReplaceInDir(cnt);
+            break;
+
+            case 'dir-replace-preview':
+            this.send('dir-replace-preview', cnt);
+            break;
+
+            case 'replace-preview':
+            this._app.getBody().displayReplacePreview(cnt);
+            break;
+
+            case 'dir-replace-apply':
+            this.send('dir-replace-apply', cnt);
+            break;
+
+            case 'replace-report':
+            this._app.getBody().displayReplaceReport(cnt);
+            break;
+
             case 'dir-project-export':
             this.send('dir-project-export', cnt);
             break;
@@ -235,8 +284,12 @@ class ZettlrRendererIPC
             }
             break;
 
-            case 'file-search-result':
-            this._app.getPreview().handleSearchResult(cnt);
+            case 'file-backlinks':
+            this._app.getBacklinks().setBacklinks(cnt);
+            break;
+
+            case 'search-results':
+            this._app.getPreview().handleSearchResults(cnt);
             break;
 
             case 'toggle-theme':
@@ -344,6 +397,18 @@ class ZettlrRendererIPC
                 case 'muteLines':
                 this._app.getEditor().setMuteLines(cnt.value);
                 break;
+                case 'linkPreference':
+                this._app.getEditor().setLinkPreference(cnt.value);
+                break;
+                case 'zkn':
+                this._app.setZknOptions(cnt.value);
+                break;
+                case 'searchHistory':
+                this._app.getToolbar().setSearchHistory(cnt.value);
+                break;
+                case 'exportProfiles':
+                this._app.setExportProfiles(cnt.value);
+                break;
                 case 'combinerState':
                 if(cnt.value == 'expanded') {
                     $('#editor').addClass('collapsed');
@@ -428,11 +493,49 @@ class ZettlrRendererIPC
             this._app.toggleAttachments();
             break;
 
+            case 'toggle-backlinks':
+            this._app.toggleBacklinks();
+            break;
+
+            case 'file-preview':
+            this._app.getEditor().showLinkPreview(cnt);
+            break;
+
+            // The entries of the bibliography of the open file
+            case 'citations':
+            this._app.getEditor().setCitations(cnt);
+            break;
+
+            case 'link-resolved':
+            this._app.resolveJumpTarget(cnt);
+            break;
+
+            case 'file-transclusion':
+            this._app.getEditor().showTransclusion(cnt);
+            break;
+
+            case 'toggle-graph':
+            this._app.toggleGraph();
+            break;
+
             // Stats
             case 'show-stats':
             this.send('request-stats-data');
             break;
 
+            case 'go-to-file':
+            this._app.getPalette().show();
+            break;
+
+            // The command palette needs the commands of the menu first
+            case 'command-palette':
+            this.send('get-commands');
+            break;
+
+            case 'commands':
+            this._app.getPalette().showCommands(cnt);
+            break;
+
             // Recent documents
             case 'show-docs':
             this._app.getBody().showRecentDocuments();
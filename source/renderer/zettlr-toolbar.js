@@ -15,6 +15,11 @@
 const {trans} = require('../common/lang/i18n.js');
 const {localiseNumber} = require('../common/zettlr-helpers.js');
 
+// How many recent searches are remembered (pinned searches are kept anyway)
+const MAX_HISTORY = 20;
+// The symbols of the search options, as displayed in the history
+const OPTION_SYMBOLS = { 'caseSensitive': 'Aa', 'wholeWord': 'ab', 'fuzzy': '~' };
+
 /**
  * This class is responsible for rendering the Toolbar. It builds the toolbar
  * based on the toolbar.json file in the assets directory. Therefore one can
@@ -35,11 +40,21 @@ class ZettlrToolbar
         this._searchbar = this._div.find('.searchbar').first().find('input').first();
         this._searchbar.attr('placeholder', trans('gui.find_placeholder'));
         this._fileInfo = this._div.find('.file-info');
+        this._historyList = this._div.find('.search-history');
 
         // Searchbar autocomplete variables
         this._autocomplete = [];
         this._oldval = '';
 
+        // Toggled by the buttons next to the searchbar
+        this._searchOptions = { 'caseSensitive': false, 'wholeWord': false, 'fuzzy': false };
+
+        // The recent and pinned searches, each containing term and options
+        this._history = { 'recent': [], 'pinned': [] };
+        this._historyEntries = []; // The currently displayed searches
+        this._historyIndex = -1;   // The selected search, or -1
+        this._filter = '';         // What the user has typed when the history was shown
+
         this._act();
     }
 
@@ -56,9 +71,15 @@ class ZettlrToolbar
                 this._searchbar.val('');
                 this._renderer.exitSearch();
             } else if(e.which == 13) { // RETURN
-                this._renderer.beginSearch(this._searchbar.val());
+                if(this._historyIndex > -1) {
+                    // Also restore the options of the search from the history
+                    this._runFromHistory(this._historyEntries[this._historyIndex]);
+                } else {
+                    this._search(this._searchbar.val());
+                }
                 this._searchbar.select(); // Select everything in the area.
             } else {
+                if(e.which == 38 || e.which == 40) return; // Arrow keys are handled on keydown
                 if(e.which == 8 || e.which == 46) return; // DEL or backspace has been pressed
                 if((this._searchbar.val() == '') || (this._searchbar.val() == this._oldval)) return; // Content has not changed
                 // Any other key has been pressed
@@ -75,20 +96,66 @@ class ZettlrToolbar
             }
         });
 
+        // Step through the search history
+        this._searchbar.on('keydown', (e) => {
+            if(e.which == 38 || e.which == 40) { // Arrow up and down
+                e.preventDefault();
+                this._selectHistory((e.which == 40) ? 1 : -1);
+            }
+        });
+
+        // Only show the searches containing what the user has typed
+        this._searchbar.on('input', (e) => {
+            this._showHistory(this._searchbar.val());
+        });
+
+        this._historyList.on('mousedown', 'li', (e) => {
+            e.preventDefault(); // Keep the focus in the searchbar
+            let entry = this._historyEntries[parseInt($(e.currentTarget).attr('data-index'))];
+            if($(e.target).hasClass('pin')) {
+                this._togglePin(entry);
+            } else {
+                this._runFromHistory(entry);
+                this._searchbar.select();
+            }
+        });
+
         this._div.find('.end-search').on('click', (e) => {
             this._searchbar.blur();
             this._searchbar.val('');
             this._renderer.exitSearch();
         })
 
+        this._div.find('.search-option').on('click', (e) => {
+            let elem = $(e.currentTarget);
+            let option = elem.attr('data-option');
+            this._searchOptions[option] = !this._searchOptions[option];
+            elem.toggleClass('active', this._searchOptions[option]);
+            // Repeat a running search with the new options
+            if(this._searchbar.val() != '') {
+                this._renderer.beginSearch(this._searchbar.val());
+            }
+        });
+
+        // Step through the hits of the search results
+        this._div.find('.search-nav').on('click', (e) => {
+            if($(e.currentTarget).attr('data-direction') == 'next') {
+                this._renderer.getPreview().nextHit();
+            } else {
+                this._renderer.getPreview().previousHit();
+            }
+        });
+
         this._searchbar.on('focus', (e) => {
             this._searchbar.select();
             this._autocomplete = this._renderer.getFilesInDirectory();
+            this._showHistory();
         });
 
         this._searchbar.on('blur', (e) => {
             this._autocomplete = []; // Reset auto completion array
             this._oldval = '';
+            this._hideHistory();
         });
 
         this._fileInfo.click((e) => {
@@ -123,7 +190,12 @@ class ZettlrToolbar
                 child.attr('data-content', elem.content);
                 child.attr('title', trans(elem.title));
             } else if(elem.role === 'searchbar') {
-                child.html('<input type="text"><div class="end-search">&times;</div>');
+                child.html('<input type="text"><div class="end-search">&times;</div><ul class="search-history"></ul>');
+                child.append($('<div>').addClass('search-option').attr('data-option', 'caseSensitive').attr('title', trans('gui.search_case_sensitive')).text('Aa'));
+                child.append($('<div>').addClass('search-option').attr('data-option', 'wholeWord').attr('title', trans('gui.search_whole_word')).text('ab'));
+                child.append($('<div>').addClass('search-option').attr('data-option', 'fuzzy').attr('title', trans('gui.search_fuzzy')).text('~'));
+                child.append($('<div>').addClass('search-nav').attr('data-direction', 'previous').attr('title', trans('gui.search_previous_hit')).html('&#9650;'));
+                child.append($('<div>').addClass('search-nav').attr('data-direction', 'next').attr('title', trans('gui.search_next_hit')).html('&#9660;'));
             } else if(elem.role === 'pomodoro') {
                 child.addClass('button');
                 child.attr('data-command', 'pomodoro');
@@ -193,6 +265,168 @@ class ZettlrToolbar
         this._searchbar.val(term);
     }
 
+    /**
+     * Returns the options of the global search
+     * @return {Object} An object containing caseSensitive, wholeWord and fuzzy
+     */
+    getSearchOptions()
+    {
+        return this._searchOptions;
+    }
+
+    /**
+     * Sets the recent and pinned searches, as saved in the config.
+     * @param {Object} history An object containing the arrays recent and pinned
+     */
+    setSearchHistory(history)
+    {
+        let valid = (list) => {
+            if(!Array.isArray(list)) {
+                return [];
+            }
+            return list.filter((entry) => { return entry && typeof entry.term === 'string'; }).map((entry) => {
+                return { 'term': entry.term, 'options': entry.options || {} };
+            });
+        };
+
+        this._history = {
+            'recent': valid(history && history.recent),
+            'pinned': valid(history && history.pinned)
+        };
+    }
+
+    /**
+     * Runs a search from the searchbar and remembers it.
+     * @param  {String} term The search term
+     */
+    _search(term)
+    {
+        this._hideHistory();
+        this._renderer.beginSearch(term);
+
+        term = term.trim();
+        if(term == '') {
+            return;
+        }
+
+        this._history.recent = this._history.recent.filter((entry) => { return entry.term != term; });
+        this._history.recent.unshift({ 'term': term, 'options': Object.assign({}, this._searchOptions) });
+        this._history.recent = this._history.recent.slice(0, MAX_HISTORY);
+        this._saveHistory();
+    }
+
+    /**
+     * Runs a search from the history with the options it was run with.
+     * @param  {Object} entry The search containing term and options
+     */
+    _runFromHistory(entry)
+    {
+        for(let option in this._searchOptions) {
+            this._searchOptions[option] = (entry.options[option] === true);
+        }
+        this._div.find('.search-option').each((i, elem) => {
+            $(elem).toggleClass('active', this._searchOptions[$(elem).attr('data-option')]);
+        });
+
+        this._searchbar.val(entry.term);
+        this._search(entry.term);
+    }
+
+    /**
+     * Pins a search or unpins it, if it has been pinned already.
+     * @param  {Object} entry The search containing term and options
+     */
+    _togglePin(entry)
+    {
+        if(entry.pinned) {
+            this._history.pinned = this._history.pinned.filter((pin) => { return pin.term != entry.term; });
+        } else {
+            this._history.pinned.push({ 'term': entry.term, 'options': entry.options });
+        }
+
+        this._saveHistory();
+        this._showHistory(this._filter);
+    }
+
+    /**
+     * Shows the pinned and the recent searches below the searchbar.
+     * @param  {String} [filter=''] Only searches containing this are shown
+     */
+    _showHistory(filter = '')
+    {
+        this._filter = filter;
+        this._historyIndex = -1;
+        filter = filter.trim().toLowerCase();
+
+        let pinned = this._history.pinned.map((entry) => { return Object.assign({ 'pinned': true }, entry); });
+        let recent = this._history.recent.filter((entry) => {
+            return !this._history.pinned.find((pin) => { return pin.term == entry.term; });
+        });
+        this._historyEntries = pinned.concat(recent).filter((entry) => {
+            return entry.term.toLowerCase().indexOf(filter) > -1;
+        });
+
+        this._historyList.html('');
+        if(this._historyEntries.length == 0) {
+            return this._hideHistory();
+        }
+
+        for(let i = 0; i < this._historyEntries.length; i++) {
+            let entry = this._historyEntries[i];
+            let pin = $('<span>').addClass('pin')
+                .attr('title', trans((entry.pinned) ? 'gui.search_unpin' : 'gui.search_pin'))
+                .html((entry.pinned) ? '&#9733;' : '&#9734;');
+            let options = Object.keys(OPTION_SYMBOLS).filter((option) => { return entry.options[option]; });
+            let li = $('<li>').attr('data-index', i).toggleClass('pinned', entry.pinned === true);
+            li.append(pin, $('<span>').text(entry.term));
+            li.append($('<small>').text(options.map((option) => { return OPTION_SYMBOLS[option]; }).join(' ')));
+            this._historyList.append(li);
+        }
+
+        this._historyList.show();
+    }
+
+    /**
+     * Hides the history below the searchbar.
+     */
+    _hideHistory()
+    {
+        this._historyList.hide();
+        this._historyIndex = -1;
+    }
+
+    /**
+     * Selects the next or previous search of the history and writes it into
+     * the searchbar.
+     * @param  {Number} step Either 1 (next) or -1 (previous)
+     */
+    _selectHistory(step)
+    {
+        if(!this._historyList.is(':visible')) {
+            this._showHistory(this._searchbar.val());
+            if(this._historyEntries.length == 0) {
+                return;
+            }
+        }
+
+        // Wrap around at both ends of the list. Going up without a selection
+        // selects the last search.
+        let index = (this._historyIndex < 0 && step < 0) ? -1 : this._historyIndex + step;
+        this._historyIndex = (index + this._historyEntries.length) % this._historyEntries.length;
+        this._historyList.find('li').removeClass('selected');
+        let li = this._historyList.find(`li[data-index="${this._historyIndex}"]`).addClass('selected');
+        li[0].scrollIntoView({ 'block': 'nearest' });
+        this._searchbar.val(this._historyEntries[this._historyIndex].term);
+    }
+
+    /**
+     * Saves the history in the config.
+     */
+    _saveHistory()
+    {
+        this._renderer.saveSettings({ 'searchHistory': this._history });
+    }
+
     /**
      * Progresses the search indicator
      * @param  {Integer} item    Current items that have been searched